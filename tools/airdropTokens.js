@@ -5,7 +5,7 @@ import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import cliProgress from 'cli-progress';
 import dotenv from 'dotenv';
-import sanko from './util/sanko.js';
+import { networkOptions, envNames, getNetwork, getProvider, explorerLink } from './util/sanko.js';
 
 dotenv.config();
 
@@ -50,6 +50,11 @@ const argv = yargs(hideBin(process.argv))
         return arg;
     }
   })
+  .option('decimals', {
+    description: "Decimals the amounts in the CSV are written in, read from the token's decimals() if not given (ERC1155 without decimals(): 0)",
+    type: 'number'
+  })
+  .options(networkOptions)
   .check(argv => {
     if (!argv.erc20 && !argv.erc721 && !argv.erc1155) {
       throw new Error('One of --erc20, --erc721, or --erc1155 must be specified');
@@ -60,8 +65,8 @@ const argv = yargs(hideBin(process.argv))
   .alias('help', 'h')
   .argv;
 
-const jsonRpcUrl = "https://mainnet.sanko.xyz";
-const provider = new ethers.JsonRpcProvider(jsonRpcUrl, sanko);
+const network = getNetwork(argv.network, { rpc: argv.rpc, chainId: argv['chain-id'] });
+const provider = getProvider(network);
 
 const privateKey = process.env.PRIVATE_KEY;
 if (!privateKey) {
@@ -70,7 +75,14 @@ if (!privateKey) {
 const wallet = new ethers.Wallet(privateKey, provider);
 
 const tokenAddress = argv.token;
-const contractAddress = '0x3ef149697ebde1e329184c7c4b56179538631a41';
+const contractAddress = network.gasliteDrop;
+if (!contractAddress) {
+  throw new Error(`No Gaslite Drop contract configured for network "${network.key}", set ${envNames(network.key).gasliteDrop} in .env file`);
+}
+
+console.log(`Network: ${network.name} (${network.chainId})`);
+console.log(`RPC: ${network.rpcUrls.join(', ')}`);
+console.log(`Gaslite Drop: ${explorerLink(network, 'address', contractAddress)}\n`);
 const gasliteDropAbi = [
   "function airdropERC20(address _token, address[] calldata _addresses, uint256[] calldata _amounts, uint256 _totalAmount) external payable",
   "function airdropERC721(address _nft, address[] calldata _addresses, uint256[] calldata _tokenIds) external payable",
@@ -87,7 +99,7 @@ async function setAllowance(totalAmount) {
 
   try {
     const tx = await tokenContract.approve(contractAddress, totalAmount);
-    console.log(`Approval for ${totalAmount} sent: ${tx.hash}`);
+    console.log(`Approval for ${totalAmount} sent: ${explorerLink(network, 'tx', tx.hash)}`);
     await tx.wait();
     console.log('Token allowance set successfully.');
   } catch (error) {
@@ -95,11 +107,30 @@ async function setAllowance(totalAmount) {
   }
 }
 
-async function airdropERC20(recipients, batchSize, progressBar) {
+// Amounts in the CSV are in whole tokens, as createAirdropList.js writes them with --decimals. An explicit --decimals
+// has to agree with the token's own decimals() where it has one
+async function getTokenDecimals(type) {
+  const tokenContract = new ethers.Contract(tokenAddress, ["function decimals() view returns (uint8)"], provider);
+  let onchainDecimals = null;
+
+  try {
+    onchainDecimals = Number(await tokenContract.decimals());
+  } catch (error) {
+    if (type === 'erc20' && argv.decimals === undefined) throw new Error(`Could not read decimals() from ${tokenAddress}, pass --decimals`);
+  }
+
+  if (argv.decimals !== undefined && onchainDecimals !== null && argv.decimals !== onchainDecimals) {
+    throw new Error(`--decimals ${argv.decimals} doesn't match the token's decimals() of ${onchainDecimals}`);
+  }
+
+  return argv.decimals ?? onchainDecimals ?? 0;
+}
+
+async function airdropERC20(recipients, batchSize, progressBar, decimals) {
   for (let i = 0; i < recipients.length; i += batchSize) {
     const batch = recipients.slice(i, i + batchSize);
     const addresses = batch.map(recipient => recipient.address);
-    const amounts = batch.map(recipient => ethers.parseUnits(recipient.amount, "ether"));
+    const amounts = batch.map(recipient => ethers.parseUnits(recipient.amount, decimals));
     const totalAmount = amounts.reduce((acc, amount) => acc + amount, BigInt(0));
 
     try {
@@ -124,7 +155,7 @@ async function airdropERC721(recipients, batchSize, progressBar) {
     
     try {
       const tx = await gasliteDropContract.airdropERC721(tokenAddress, addresses, tokenIds);
-      console.log(`Airdrop transaction sent: ${tx.hash}`);
+      console.log(`Airdrop transaction sent: ${explorerLink(network, 'tx', tx.hash)}`);
       await tx.wait();
     } catch (error) {
       console.error('Error during airdrop:', error);
@@ -134,16 +165,16 @@ async function airdropERC721(recipients, batchSize, progressBar) {
   }
 }
 
-async function airdropERC1155(recipients, batchSize, progressBar) {
+async function airdropERC1155(recipients, batchSize, progressBar, decimals) {
   for (let i = 0; i < recipients.length; i += batchSize) {
     const batch = recipients.slice(i, i + batchSize);
     const addresses = batch.map(recipient => recipient.address);
     const ids = batch.map(recipient => recipient.tokenId);
-    const amounts = batch.map(recipient => ethers.parseUnits(recipient.amount, "ether"));
+    const amounts = batch.map(recipient => ethers.parseUnits(recipient.amount, decimals));
     
     try {
       const tx = await gasliteDropContract.airdropERC1155(tokenAddress, addresses, ids, amounts, "0x");
-      console.log(`Airdrop transaction sent: ${tx.hash}`);
+      console.log(`Airdrop transaction sent: ${explorerLink(network, 'tx', tx.hash)}`);
       await tx.wait();
     } catch (error) {
       console.error('Error during airdrop:', error);
@@ -156,11 +187,19 @@ async function airdropERC1155(recipients, batchSize, progressBar) {
 function readRecipientsFromCSV(filePath, type) {
   return new Promise((resolve, reject) => {
     const recipients = [];
+    let isFirstRow = true;
     fs.createReadStream(filePath)
       .pipe(csv({ headers: false }))
       .on('data', (row) => {
         const values = Object.values(row);
         const address = values[0];
+
+        // Snapshot CSVs (e.g. takeSnapshot --token-ids) start with a header row
+        if (isFirstRow) {
+          isFirstRow = false;
+          if (!ethers.isAddress(address)) return;
+        }
+
         if (type === 'erc20') {
           const amount = values[1];
           recipients.push({ address, amount });
@@ -189,22 +228,25 @@ function readRecipientsFromCSV(filePath, type) {
 
     const batchSize = argv.batch ? argv.batch : 500;
 
+    const decimals = type === 'erc721' ? 0 : await getTokenDecimals(type);
+    if (type !== 'erc721') console.log(`Token decimals: ${decimals}`);
+
     if (type === 'erc20') {
       const totalAmount = recipients.reduce((acc, recipient) => 
-        acc + ethers.parseUnits(recipient.amount, 'ether'), BigInt(0));
+        acc + ethers.parseUnits(recipient.amount, decimals), BigInt(0));
       
       await setAllowance(totalAmount);
 
       console.log(`IT'S AIRDROP TIME!!!\n`);
 
       progressBar.start(recipients.length, 0);
-      await airdropERC20(recipients, batchSize, progressBar);
+      await airdropERC20(recipients, batchSize, progressBar, decimals);
     } else if (type === 'erc721') {
       progressBar.start(recipients.length, 0);
       await airdropERC721(recipients, batchSize, progressBar);
     } else if (type === 'erc1155') {
       progressBar.start(recipients.length, 0);
-      await airdropERC1155(recipients, batchSize, progressBar);
+      await airdropERC1155(recipients, batchSize, progressBar, decimals);
     }
 
     progressBar.stop();
@@ -0,0 +1,195 @@
+import { ethers } from 'ethers';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs-extra';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import Table from 'cli-table';
+import { networkOptions, getNetwork, getProvider } from './util/sanko.js';
+import { parseIdFilter } from './util/tokenIds.js';
+import { getBlockAtTime } from './util/blocks.js';
+
+const argv = yargs(hideBin(process.argv))
+  .version(false)
+  .option('manifest', {
+    alias: 'm',
+    description: 'JSON manifest listing the collections to snapshot',
+    type: 'string',
+    demandOption: true
+  })
+  .option('at-block', {
+    description: 'Cutoff block every collection is snapshotted at, overrides the manifest',
+    type: 'number',
+    conflicts: 'at-time'
+  })
+  .option('at-time', {
+    description: 'Cutoff time (ISO 8601), resolved once to the last block at or before it, overrides the manifest',
+    type: 'string',
+    conflicts: 'at-block'
+  })
+  .option('confirmations', {
+    description: 'Without a cutoff, snapshot at the latest block with this many confirmations',
+    type: 'number',
+    default: 10
+  })
+  .options(networkOptions)
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+const currentDir = process.cwd();
+const takeSnapshotPath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'takeSnapshot.js');
+
+// The batch decides these for every collection, everything else can go in the manifest's options
+const reservedOptions = ['contract', 'c', 'block', 'b', 'type', 'id', 'output', 'o', 'csv', 'at-block', 'at-time', 'network', 'n', 'rpc', 'chain-id'];
+
+function checkOptions(options, source) {
+  if (options === undefined) return {};
+  if (typeof options !== 'object' || Array.isArray(options)) throw new Error(`options in ${source} should be an object of takeSnapshot.js flags`);
+
+  for (const key of Object.keys(options)) {
+    if (reservedOptions.includes(key)) throw new Error(`"${key}" can't be set through options in ${source}, it's set per collection by the batch`);
+  }
+
+  return options;
+}
+
+// Manifest: { cutoffBlock?, cutoffTime?, options?, collections: [{ address, deploymentBlock?, type?, ids?, output?, options? }] }
+function loadManifest(filePath) {
+  const manifest = fs.readJsonSync(filePath);
+  const collections = Array.isArray(manifest) ? manifest : manifest.collections;
+
+  if (!Array.isArray(collections) || !collections.length) throw new Error(`${filePath} should list the collections to snapshot`);
+  if (manifest.cutoffBlock !== undefined && manifest.cutoffTime !== undefined) throw new Error(`${filePath} can only set one of cutoffBlock and cutoffTime`);
+
+  const outputs = new Set();
+
+  return {
+    cutoffBlock: manifest.cutoffBlock,
+    cutoffTime: manifest.cutoffTime,
+    options: checkOptions(manifest.options, filePath),
+    collections: collections.map((collection, index) => {
+      const label = `collection ${index + 1} in ${filePath}`;
+
+      if (!collection.address || !ethers.isAddress(collection.address)) throw new Error(`Missing or invalid address in ${label}`);
+      if (collection.deploymentBlock !== undefined && !Number.isInteger(collection.deploymentBlock)) throw new Error(`Invalid deploymentBlock in ${label}`);
+      if (collection.type !== undefined && !['ERC20', 'ERC721', 'ERC1155'].includes(collection.type)) {
+        throw new Error(`Invalid type "${collection.type}" in ${label}, expected ERC20, ERC721 or ERC1155`);
+      }
+      if (collection.ids !== undefined) parseIdFilter(String(collection.ids));
+
+      if (collection.output !== undefined) {
+        if (outputs.has(collection.output)) throw new Error(`Output name "${collection.output}" is used twice in ${filePath}`);
+        outputs.add(collection.output);
+      }
+
+      return {
+        ...collection,
+        address: ethers.getAddress(collection.address),
+        label: collection.name || collection.output || collection.address,
+        options: checkOptions(collection.options, label)
+      };
+    })
+  };
+}
+
+// { 'per-id': true, exclude: ['0x1', '0x2'] } => ['--per-id', '--exclude', '0x1', '--exclude', '0x2']
+function toFlags(options) {
+  return Object.entries(options).flatMap(([key, value]) => {
+    if (value === true) return [`--${key}`];
+    if (value === false) return [`--no-${key}`];
+    if (value === null || value === undefined) return [];
+    return [].concat(value).flatMap(item => [`--${key}`, String(item)]);
+  });
+}
+
+function snapshotArgs(collection, cutoffBlock, sharedOptions) {
+  const args = [takeSnapshotPath, '--contract', collection.address, '--at-block', String(cutoffBlock), '--csv'];
+
+  if (collection.deploymentBlock !== undefined) args.push('--block', String(collection.deploymentBlock));
+  if (collection.type) args.push('--type', collection.type);
+  if (collection.ids !== undefined) args.push('--id', String(collection.ids));
+  if (collection.output) args.push('--output', collection.output);
+
+  args.push('--network', argv.network);
+  if (argv.rpc) args.push('--rpc', argv.rpc);
+  if (argv['chain-id']) args.push('--chain-id', String(argv['chain-id']));
+
+  return [...args, ...toFlags({ ...sharedOptions, ...collection.options })];
+}
+
+function runSnapshot(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, args, { cwd: currentDir, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code, signal) => resolve(signal ? 130 : code));
+  });
+}
+
+async function getCutoffBlock(manifest) {
+  if (argv['at-block'] !== undefined) return argv['at-block'];
+  if (argv['at-time'] === undefined && manifest.cutoffBlock !== undefined) return manifest.cutoffBlock;
+
+  const provider = getProvider(getNetwork(argv.network, { rpc: argv.rpc, chainId: argv['chain-id'] }));
+  const cutoffTime = argv['at-time'] ?? manifest.cutoffTime;
+  if (cutoffTime) return getBlockAtTime(provider, cutoffTime);
+
+  return Math.max(0, await provider.getBlockNumber() - argv.confirmations);
+}
+
+async function main() {
+  const manifest = loadManifest(argv.manifest);
+  const cutoffBlock = await getCutoffBlock(manifest);
+
+  if (!Number.isInteger(cutoffBlock) || cutoffBlock < 0) throw new Error(`Invalid cutoff block ${cutoffBlock}`);
+
+  const late = manifest.collections.filter(({ deploymentBlock }) => deploymentBlock > cutoffBlock);
+  if (late.length) throw new Error(`Deployed after the cutoff block ${cutoffBlock}: ${late.map(({ label }) => label).join(', ')}`);
+
+  console.log(chalk.cyan(`Snapshotting ${chalk.bold(manifest.collections.length)} collections at block ${chalk.bold(cutoffBlock)}\n`));
+
+  const results = [];
+
+  for (const [index, collection] of manifest.collections.entries()) {
+    console.log(chalk.cyan.bold(`\n[${index + 1}/${manifest.collections.length}] ${collection.label}\n`));
+
+    // Historical snapshots are never overwritten, a rerun after a failure only redoes the collections still missing
+    if (collection.output && fs.existsSync(path.join(currentDir, `${collection.output}.json`))) {
+      console.log(chalk.yellow(`${collection.output}.json already exists, skipping\n`));
+      results.push({ collection, status: 'exists' });
+      continue;
+    }
+
+    const code = await runSnapshot(snapshotArgs(collection, cutoffBlock, manifest.options));
+
+    if (code === 130) {
+      console.log(chalk.yellow(`\nInterrupted, run the same command with --at-block ${cutoffBlock} to continue at the same block`));
+      process.exit(130);
+    }
+
+    results.push({ collection, status: code === 0 ? 'done' : 'failed' });
+  }
+
+  const table = new Table({ head: ['Collection', 'Address', 'Status', 'Files'] });
+  results.forEach(({ collection, status }) => {
+    const files = collection.output ? `${collection.output}.csv, ${collection.output}.json` : 'see above';
+    const color = status === 'failed' ? chalk.red : status === 'exists' ? chalk.yellow : chalk.green;
+    table.push([collection.label, collection.address, color(status), status === 'failed' ? '' : files]);
+  });
+
+  console.log(chalk.bold(`\nCollections at block ${cutoffBlock}:`));
+  console.log(table.toString());
+
+  const failed = results.filter(({ status }) => status === 'failed');
+  if (failed.length) {
+    console.log(chalk.red(`\n${failed.length} snapshots failed, fix them and run the same command with --at-block ${cutoffBlock} again\n`));
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red(error));
+  process.exit(1);
+});
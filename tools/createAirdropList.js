@@ -2,29 +2,58 @@ import fs from 'fs-extra';
 import path from 'path';
 import csv from 'csv-parser';
 import yargs from 'yargs';
+import { ethers } from 'ethers';
+import { parseIdFilter } from './util/tokenIds.js';
+import { formatBigIntToDecimal } from './util/snapshot.js';
+import { networkOptions, getNetwork, getProvider } from './util/sanko.js';
+import { loadAddressList } from './util/addressFilters.js';
 
 const argv = yargs(process.argv.slice(2))
   .option('files', {
     alias: 'f',
-    description: 'List of CSV files to read',
+    description: 'List of CSV files to read (or list them in --config)',
     type: 'array',
-    demandOption: true,
   })
   .option('total', {
     alias: 't',
-    description: 'Total amount to distribute',
+    description: 'Total amount to distribute, distributed down to the last base unit (optional with fixed --tiers, the budget they must fit)',
+    type: 'string',
+  })
+  .option('decimals', {
+    description: 'Decimals of the airdropped token, amounts are computed in its base units',
     type: 'number',
-    demandOption: true,
+    default: 18,
   })
   .option('equal', {
     description: 'Distribute the total amount equally',
     type: 'boolean',
-    conflicts: 'weighted',
+    conflicts: ['weighted', 'tiered', 'raffle'],
   })
   .option('weighted', {
     description: 'Distribute the total amount based on weight',
     type: 'boolean',
-    conflicts: 'equal',
+    conflicts: ['equal', 'tiered', 'raffle'],
+  })
+  .option('tiered', {
+    description: 'Allocate by balance brackets set with --tiers',
+    type: 'boolean',
+    conflicts: ['equal', 'weighted', 'raffle'],
+  })
+  .option('tiers', {
+    description: 'Brackets as range:amount, e.g. 1-2:100,3-9:400,10+:1500 (or tiers in --config)',
+    type: 'string',
+  })
+  .option('tier-amounts', {
+    description: 'Bracket amounts are fixed amounts per recipient, or shares of --total',
+    type: 'string',
+    choices: ['fixed', 'shares'],
+    default: 'fixed',
+  })
+  .option('tier-by', {
+    description: 'Apply brackets to the merged balance, or to each file\'s balance and merge the amounts',
+    type: 'string',
+    choices: ['merged', 'file'],
+    default: 'merged',
   })
   .option('weight-scale', {
     description: 'Weight scale factor between 0.1 and 1 (default: 0.5)',
@@ -33,178 +62,643 @@ const argv = yargs(process.argv.slice(2))
   })
   .option('minimum', {
     description: 'Minimum amount to allocate per address in weighted mode',
-    type: 'number',
-    default: 0,
+    type: 'string',
+    default: '0',
   })
   .option('maximum', {
-    description: 'Maximum amount to allocate per address in weighted mode',
+    description: 'Maximum amount to allocate per address in weighted mode (default: no maximum)',
+    type: 'string',
+  })
+  .option('merge', {
+    description: 'How weights of an address in several files combine: sum, max, average, or all (only addresses in every file, summed). Default: max, sum with --tiered',
+    type: 'string',
+    choices: ['sum', 'max', 'average', 'all'],
+  })
+  .option('multiplier', {
+    description: 'Weight multiplier for a file as file=factor, e.g. Pets.csv=3 (default: 1)',
+    type: 'array',
+  })
+  .option('config', {
+    description: 'JSON file setting merge, tiers, include, exclude and files, each file a path or { path, multiplier }. Flags take precedence',
+    type: 'string',
+  })
+  .option('exclude', {
+    description: 'Files of addresses that get nothing (team wallets, exchanges, bots), one per line',
+    type: 'array',
+  })
+  .option('include', {
+    description: 'Files of addresses that are the only ones allowed to receive anything, one per line',
+    type: 'array',
+  })
+  .option('raffle', {
+    description: 'Draw --winners recipients from a seed and split the total equally between them',
+    type: 'boolean',
+    conflicts: ['equal', 'weighted', 'tiered'],
+  })
+  .option('winners', {
+    description: 'Number of raffle winners',
+    type: 'number',
+  })
+  .option('raffle-by', {
+    description: 'Every address has the same chance, or a chance proportional to its merged balance',
+    type: 'string',
+    choices: ['equal', 'balance'],
+    default: 'equal',
+  })
+  .option('seed', {
+    description: 'Raffle seed, 32 bytes of hex such as an announced block hash',
+    type: 'string',
+    conflicts: 'seed-block',
+  })
+  .option('seed-block', {
+    description: 'Pre-announced block whose hash is the raffle seed, fetched over RPC',
     type: 'number',
-    default: Infinity,
+    conflicts: 'seed',
+  })
+  .option('confirmations', {
+    description: 'Confirmations --seed-block needs before its hash is used',
+    type: 'number',
+    default: 10,
+  })
+  .options(networkOptions)
+  .option('id', {
+    description: 'Only count these token ids from per-id (Address,Id,Balance) CSVs: an id (3), a list (1,2,5) or a range (10-20)',
+    type: 'string',
   })
-  .demandOption(['total'], 'Please provide both total and either equal or weighted argument')
   .help()
   .alias('help', 'h')
   .argv;
 
 const currentDir = process.cwd();
 const outputFileName = 'AirdropRecipients.csv';
+const auditFileName = 'AirdropRaffle.json';
 
-const parseCsvFile = (filePath) => {
+// Per-id snapshots (Address,Id,Balance) have one row per held id, balances are summed per address
+const includeRow = (row, idFilter) => row.Id === undefined || !idFilter || idFilter.matches(row.Id);
+
+const balancePattern = /^\d+(\.\d+)?$/;
+
+// Rows with their address checksummed, so one wallet written in different case is one recipient, and the address lists
+// already applied. Rows with an invalid address, or balance when balances are used, fail the whole file with their
+// line numbers rather than being dropped silently
+const parseCsvFile = (filePath, { idFilter, addressLists, requireBalance }) => {
   return new Promise((resolve, reject) => {
     const data = [];
+    const invalid = [];
+    let line = 1;
+
     fs.createReadStream(filePath)
       .pipe(csv())
-      .on('data', (row) => data.push(row))
-      .on('end', () => resolve(data))
+      .on('headers', (headers) => {
+        if (!headers.includes('Address')) reject(new Error(`${filePath} has no Address column`));
+        if (requireBalance && !headers.includes('Balance')) reject(new Error(`${filePath} has no Balance column`));
+      })
+      .on('data', (row) => {
+        line++;
+        // Blank lines (or lines of only commas and spaces) are left over from editing, not rows
+        if (Object.values(row).every((value) => !String(value).trim())) return;
+
+        const address = (row.Address || '').trim();
+
+        if (!ethers.isAddress(address)) {
+          const reason = /^0x[0-9a-fA-F]{40}$/.test(address) ? 'bad checksum in address' : 'address';
+          invalid.push(`line ${line} (${reason} "${address}")`);
+          return;
+        }
+        if (requireBalance && !balancePattern.test((row.Balance || '').trim())) {
+          invalid.push(`line ${line} (balance "${row.Balance ?? ''}")`);
+          return;
+        }
+        if (!includeRow(row, idFilter)) return;
+
+        const checksummed = ethers.getAddress(address);
+        if (!addressLists.allows(checksummed)) return;
+
+        data.push({ ...row, Address: checksummed });
+      })
+      .on('end', () => {
+        if (!invalid.length) return resolve(data);
+        const more = invalid.length > 10 ? ` and ${invalid.length - 10} more` : '';
+        reject(new Error(`Invalid rows in ${filePath}: ${invalid.slice(0, 10).join(', ')}${more}`));
+      })
       .on('error', reject);
   });
 };
 
-const calculateWeightedShareForFile = (filePath, scale) => {
-  return new Promise((resolve, reject) => {
-    const addressMap = new Map();
-    const balances = [];
+// --exclude wins over --include. Addresses left out are counted once however many files they're in
+const loadAddressLists = (excludeFiles, includeFiles) => {
+  const exclude = new Set(excludeFiles.flatMap((filePath) => [...loadAddressList(filePath)]));
+  const include = includeFiles.length ? new Set(includeFiles.flatMap((filePath) => [...loadAddressList(filePath)])) : null;
+  const excluded = new Set();
+  const notIncluded = new Set();
 
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => {
-        const address = data.Address;
-        const balance = parseFloat(data.Balance);
-        addressMap.set(address, balance);
-        balances.push(balance);
-      })
-      .on('end', () => {
-        const totalBalance = balances.reduce((sum, balance) => sum + balance, 0);
-        const weightedBalances = balances.map((balance) => Math.pow(balance / totalBalance, scale));
-        const weightedTotal = weightedBalances.reduce((sum, weight) => sum + weight, 0);
+  return {
+    excluded,
+    notIncluded,
+    allows: (address) => {
+      const lower = address.toLowerCase();
+      if (exclude.has(lower)) excluded.add(lower);
+      else if (include && !include.has(lower)) notIncluded.add(lower);
+      else return true;
+      return false;
+    },
+  };
+};
 
-        const relativeWeights = new Map();
-        Array.from(addressMap.keys()).forEach((address, index) => {
-          relativeWeights.set(address, weightedBalances[index] / weightedTotal);
-        });
+// Balances per address, as floats or, for anything that has to be reproduced exactly, as BigInts with 18 decimals
+const parseExactBalance = (value) => ethers.parseUnits(String(value).trim(), 18);
 
-        resolve(relativeWeights);
-      })
-      .on('error', reject);
+// Every address in the files once, or with --merge all only those in every file
+const readAddresses = async (filePaths, rowOptions, merge) => {
+  const fileAddresses = [];
+
+  for (const filePath of filePaths) {
+    const fileData = await parseCsvFile(filePath, rowOptions);
+    fileAddresses.push(new Set(fileData.map(({ Address }) => Address)));
+  }
+
+  const allAddresses = [...new Set(fileAddresses.flatMap((addresses) => [...addresses]))];
+  if (merge !== 'all') return allAddresses;
+  return allAddresses.filter((address) => fileAddresses.every((addresses) => addresses.has(address)));
+};
+
+// Rows of the same address in one file, per-id rows or the same wallet in different case, are summed
+const readBalances = async (filePath, rowOptions, parseBalance = parseFloat) => {
+  const rows = await parseCsvFile(filePath, { ...rowOptions, requireBalance: true });
+  const addressMap = new Map();
+
+  rows.forEach(({ Address: address, Balance }) => {
+    const balance = parseBalance(Balance);
+    addressMap.set(address, addressMap.has(address) ? addressMap.get(address) + balance : balance);
   });
+
+  return addressMap;
+};
+
+const calculateWeightedShareForFile = async (filePath, scale, rowOptions) => {
+  const addressMap = await readBalances(filePath, rowOptions);
+
+  const balances = Array.from(addressMap.values());
+  const totalBalance = balances.reduce((sum, balance) => sum + balance, 0);
+  const weightedBalances = balances.map((balance) => Math.pow(balance / totalBalance, scale));
+  const weightedTotal = weightedBalances.reduce((sum, weight) => sum + weight, 0);
+
+  const relativeWeights = new Map();
+  Array.from(addressMap.keys()).forEach((address, index) => {
+    relativeWeights.set(address, weightedBalances[index] / weightedTotal);
+  });
+
+  return relativeWeights;
 };
 
-const mergeRelativeWeights = (fileWeightsArray) => {
+// Every file's weights add up to 1 before its multiplier, so multipliers set how much each file counts against the others.
+// average is over the files the address is in, all drops addresses missing from any file and sums the rest
+const mergeRelativeWeights = (fileWeightsArray, multipliers, strategy) => {
   const mergedWeights = new Map();
+  const fileCounts = new Map();
 
-  fileWeightsArray.forEach((fileWeights) => {
-    fileWeights.forEach((weight, address) => {
+  fileWeightsArray.forEach((fileWeights, fileIndex) => {
+    fileWeights.forEach((relativeWeight, address) => {
+      const weight = relativeWeight * multipliers[fileIndex];
       if (mergedWeights.has(address)) {
-        mergedWeights.set(address, Math.max(mergedWeights.get(address), weight));
+        const merged = mergedWeights.get(address);
+        mergedWeights.set(address, strategy === 'max' ? Math.max(merged, weight) : merged + weight);
       } else {
         mergedWeights.set(address, weight);
       }
+      fileCounts.set(address, (fileCounts.get(address) || 0) + 1);
     });
   });
 
+  if (strategy === 'average') {
+    mergedWeights.forEach((weight, address) => mergedWeights.set(address, weight / fileCounts.get(address)));
+  } else if (strategy === 'all') {
+    fileCounts.forEach((count, address) => {
+      if (count < fileWeightsArray.length) mergedWeights.delete(address);
+    });
+  }
+
   return mergedWeights;
 };
 
+const parseMultiplier = (value, source) => {
+  const multiplier = Number(value);
+  if (!Number.isFinite(multiplier) || multiplier <= 0) throw new Error(`Invalid multiplier "${value}" in ${source}, expected a number above 0`);
+  return multiplier;
+};
+
+// Files, their multipliers and the merge strategy from --config, overridden by --files, --multiplier and --merge.
+// Paths in the config are relative to the config file
+const loadInputs = (args) => {
+  const config = args.config ? fs.readJsonSync(args.config) : {};
+  const configDir = args.config ? path.dirname(args.config) : currentDir;
+
+  if (config.files !== undefined && !Array.isArray(config.files)) throw new Error(`files in ${args.config} should be an array`);
+  if (config.merge !== undefined && !['sum', 'max', 'average', 'all'].includes(config.merge)) {
+    throw new Error(`Invalid merge "${config.merge}" in ${args.config}, expected sum, max, average or all`);
+  }
+
+  const configPaths = (key) => {
+    if (config[key] === undefined) return [];
+    if (!Array.isArray(config[key])) throw new Error(`${key} in ${args.config} should be an array of address files`);
+    return config[key].map((filePath) => path.resolve(configDir, filePath));
+  };
+
+  const configMultipliers = new Map();
+  const configFiles = (config.files || []).map((entry) => {
+    const filePath = path.resolve(configDir, typeof entry === 'string' ? entry : entry.path || '');
+    if (typeof entry !== 'string' && !entry.path) throw new Error(`Every file in ${args.config} needs a path`);
+    if (typeof entry !== 'string' && entry.multiplier !== undefined) configMultipliers.set(filePath, parseMultiplier(entry.multiplier, args.config));
+    return filePath;
+  });
+
+  const files = args.files ? args.files.map((filePath) => path.resolve(String(filePath))) : configFiles;
+  if (!files.length) throw new Error('No CSV files, pass them with --files or list them in --config');
+
+  // --multiplier Pets.csv=3 matches a file by its path as given or by its name
+  const flagMultipliers = (args.multiplier || []).map((entry) => {
+    const separator = String(entry).lastIndexOf('=');
+    if (separator < 1) throw new Error(`Invalid --multiplier "${entry}", expected file=factor`);
+    const name = String(entry).slice(0, separator);
+    const matches = files.filter((filePath) => filePath === path.resolve(name) || path.basename(filePath) === name);
+    if (!matches.length) throw new Error(`--multiplier "${entry}" doesn't match any of the files`);
+    return { matches, multiplier: parseMultiplier(String(entry).slice(separator + 1), '--multiplier') };
+  });
+
+  const multipliers = files.map((filePath) => {
+    const flag = flagMultipliers.filter(({ matches }) => matches.includes(filePath)).pop();
+    return flag ? flag.multiplier : configMultipliers.get(filePath) ?? 1;
+  });
+
+  return {
+    files,
+    multipliers,
+    merge: args.merge || config.merge,
+    tiers: args.tiers ?? config.tiers,
+    exclude: [...configPaths('exclude'), ...(args.exclude || []).map(String)],
+    include: [...configPaths('include'), ...(args.include || []).map(String)],
+  };
+};
+
+// Splits total (base units) over BigInt weights exactly: everyone gets their floored share, and the base units left over
+// from flooring go one each to the largest remainders, earlier recipients first on ties
+const allocateByWeight = (total, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+  if (totalWeight === 0n) throw new Error('Nothing to distribute over, every weight is zero');
+
+  const amounts = weights.map((weight) => total * weight / totalWeight);
+  let leftover = total - amounts.reduce((sum, amount) => sum + amount, 0n);
+
+  const byRemainder = weights
+    .map((weight, index) => ({ index, remainder: total * weight % totalWeight }))
+    .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index));
+
+  for (const { index } of byRemainder) {
+    if (leftover === 0n) break;
+    amounts[index] += 1n;
+    leftover -= 1n;
+  }
+
+  return amounts;
+};
+
+// Float weights as integers relative to the largest one, keeping all the precision a double has
+const toFixedPointWeights = (weights) => {
+  const maxWeight = weights.reduce((max, weight) => (weight > max ? weight : max), -Infinity);
+  if (!(maxWeight > 0)) throw new Error('Nothing to distribute over, every weight is zero');
+  return weights.map((weight) => BigInt(Math.round(weight / maxWeight * Number.MAX_SAFE_INTEGER)));
+};
+
 const calculateEqualShare = (addresses, total) => {
-  const share = total / addresses.length;
-  return addresses.map((address) => ({ address, balance: share }));
+  const amounts = allocateByWeight(total, addresses.map(() => 1n));
+  return addresses.map((address, index) => ({ address, amount: amounts[index] }));
 };
 
+// Water-filling: recipients whose share falls below --minimum or above --maximum are fixed at that bound and the rest of
+// the total is split again over the others by weight, until no share is out of bounds. Each round fixes one side only,
+// the maximums when clamping them frees at least as much as the minimums need and the minimums otherwise, so nobody
+// fixed in one round would have ended up back within bounds. Shares are compared as exact fractions
 const calculateWeightedShare = (mergedWeights, total, minimum, maximum) => {
   const addresses = Array.from(mergedWeights.keys());
-  const weights = Array.from(mergedWeights.values());
-  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
-
-  let remainingTotal = total;
-  const adjustedBalances = weights.map((weight) => {
-    const baseAmount = total * weight / totalWeight;
-    if (baseAmount < minimum) {
-      remainingTotal -= minimum;
-      return minimum;
-    } else if (baseAmount > maximum) {
-      remainingTotal -= maximum;
-      return maximum;
-    } else {
-      return baseAmount;
-    }
+  const weights = toFixedPointWeights(Array.from(mergedWeights.values()));
+  const count = BigInt(addresses.length);
+
+  if (maximum !== null && minimum > maximum) throw new Error('--minimum is above --maximum');
+  if (minimum * count > total) throw new Error(`--minimum for all ${addresses.length} recipients is more than --total`);
+  if (maximum !== null && maximum * count < total) throw new Error(`--maximum for all ${addresses.length} recipients is less than --total, it can't all be distributed`);
+
+  const amounts = addresses.map(() => null);
+  let free = addresses.map((_, index) => index);
+  let remaining = total;
+
+  while (free.length) {
+    const freeWeight = free.reduce((sum, index) => sum + weights[index], 0n);
+    const share = (index) => remaining * weights[index];
+
+    // share(index) / freeWeight compared against the bounds
+    const belowMinimum = free.filter((index) => share(index) < minimum * freeWeight);
+    const aboveMaximum = maximum !== null ? free.filter((index) => share(index) > maximum * freeWeight) : [];
+    if (!belowMinimum.length && !aboveMaximum.length) break;
+
+    const freed = aboveMaximum.reduce((sum, index) => sum + share(index) - maximum * freeWeight, 0n);
+    const needed = belowMinimum.reduce((sum, index) => sum + minimum * freeWeight - share(index), 0n);
+    const [fixed, bound] = aboveMaximum.length && freed >= needed ? [aboveMaximum, maximum] : [belowMinimum, minimum];
+
+    fixed.forEach((index) => { amounts[index] = bound; });
+    remaining -= bound * BigInt(fixed.length);
+    free = free.filter((index) => amounts[index] === null);
+  }
+
+  if (free.length) {
+    const freeAmounts = allocateByWeight(remaining, free.map((index) => weights[index]));
+    free.forEach((index, position) => { amounts[index] = freeAmounts[position]; });
+  } else if (remaining !== 0n) {
+    throw new Error("Every recipient is clamped by --minimum or --maximum, the total can't be distributed exactly");
+  }
+
+  return addresses.map((address, index) => ({ address, amount: amounts[index] }));
+};
+
+// "1-2:100,3-9:400,10+:1500" => brackets of balances, each with its amount in base units. For fixed amounts that's the
+// airdropped token's, shares are plain numbers kept at 18 decimals. A bracket runs from its low bound to below the
+// whole number after its upper bound, so fractional balances like 2.5 fall in 1-2 rather than between brackets, but
+// never into the next bracket: 0-2 followed by 2-9 ends at 2
+const parseTiers = (spec, amountDecimals) => {
+  const entries = Array.isArray(spec) ? spec : String(spec).split(',');
+
+  const tiers = entries.map((entry) => {
+    const match = String(entry).trim().match(/^(\d+(?:\.\d+)?)(?:(\+)|-(\d+(?:\.\d+)?))?:(\d+(?:\.\d+)?)$/);
+    if (!match) throw new Error(`Invalid tier "${entry}", expected range:amount like 1-2:100, 5:250 or 10+:1500`);
+
+    const [, low, open, high, amount] = match;
+    const tier = {
+      label: String(entry).trim().split(':')[0],
+      low: Number(low),
+      high: open ? Infinity : Number(high ?? low),
+      amount: parseAmount(amount, amountDecimals, `amount in tier "${entry}"`),
+    };
+    if (tier.high < tier.low) throw new Error(`Tier "${entry}" ends below where it starts`);
+    return tier;
   });
 
-  const remainingWeights = weights.filter((_, index) => adjustedBalances[index] !== minimum && adjustedBalances[index] !== maximum);
-  const remainingWeightTotal = remainingWeights.reduce((sum, weight) => sum + weight, 0);
+  if (!tiers.length) throw new Error('No tiers given');
 
-  const finalBalances = adjustedBalances.map((balance, index) => {
-    if (balance >= minimum || balance <= maximum) {
-      return balance;
-    } else {
-      return ((remainingTotal * weights[index]) / remainingWeightTotal);
-    }
+  const sorted = [...tiers].sort((a, b) => a.low - b.low);
+  sorted.slice(1).forEach((tier, index) => {
+    const previous = sorted[index];
+    if (tier.low === previous.low || tier.low < previous.high) throw new Error(`Tiers ${previous.label} and ${tier.label} overlap`);
+  });
+
+  return sorted.map((tier, index) => {
+    const next = sorted[index + 1];
+    return { ...tier, below: Math.min(Math.floor(tier.high) + 1, next ? next.low : Infinity) };
   });
+};
+
+// null when the balance falls outside every bracket
+const findTier = (tiers, balance) => tiers.find(({ low, below }) => balance >= low && balance < below) || null;
+
+// Multipliers are applied to six decimals, plenty for factors like 3 or 1.5
+const scaleAmount = (amount, multiplier) => amount * BigInt(Math.round(multiplier * 1e6)) / 1000000n;
+
+// Per-file BigInt amounts (bracket amounts, exact balances) merged the way --merge merges weights
+const mergeExactAmounts = (fileAmountsArray, multipliers, strategy) => {
+  const merged = new Map();
+  const fileCounts = new Map();
+
+  fileAmountsArray.forEach((fileAmounts, fileIndex) => {
+    fileAmounts.forEach((amount, address) => {
+      const scaled = scaleAmount(amount, multipliers[fileIndex]);
+      const current = merged.get(address);
+      merged.set(address, current === undefined ? scaled : strategy === 'max' ? (scaled > current ? scaled : current) : current + scaled);
+      fileCounts.set(address, (fileCounts.get(address) || 0) + 1);
+    });
+  });
+
+  if (strategy === 'average') {
+    merged.forEach((amount, address) => merged.set(address, amount / BigInt(fileCounts.get(address))));
+  } else if (strategy === 'all') {
+    fileCounts.forEach((count, address) => {
+      if (count < fileAmountsArray.length) merged.delete(address);
+    });
+  }
+
+  return merged;
+};
+
+// Fixed amounts are what everyone gets, with --total only as the budget they have to fit in. Shares split --total
+// exactly in proportion to everyone's bracket amount
+const calculateTieredShare = (amounts, total, tierAmounts, decimals) => {
+  const recipients = Array.from(amounts.entries()).filter(([, amount]) => amount > 0n);
+  if (!recipients.length) throw new Error('No address falls in any of the tiers');
+
+  if (tierAmounts === 'shares') {
+    const allocated = allocateByWeight(total, recipients.map(([, share]) => share));
+    return recipients.map(([address], index) => ({ address, amount: allocated[index] }));
+  }
+
+  const fixedTotal = recipients.reduce((sum, [, amount]) => sum + amount, 0n);
+  if (total !== null && fixedTotal > total) {
+    throw new Error(`The tiers add up to ${formatBigIntToDecimal(fixedTotal, decimals)}, more than --total`);
+  }
+
+  return recipients.map(([address, amount]) => ({ address, amount }));
+};
+
+const raffleAlgorithm = 'Candidates are sorted by lowercased address. For draw i (from 0), r = uint256(keccak256(abi.encodePacked('
+  + 'bytes32 seed, uint256 i, uint256 attempt))) with attempt counting from 0, drawn again with the next attempt while r >= 2^256 - '
+  + '(2^256 mod W), W being the total weight of the candidates still in the draw. The winner is the first remaining candidate whose '
+  + 'cumulative weight exceeds r mod W, and is taken out before the next draw.';
+
+const uint256Range = 2n ** 256n;
+
+// Drawing without replacement, reproducible by anyone with the seed and the same candidate weights. Rejection sampling
+// keeps r mod W unbiased
+const drawWinners = (candidates, winnerCount, seed) => {
+  const remaining = [...candidates].sort((a, b) => (a.address.toLowerCase() < b.address.toLowerCase() ? -1 : 1));
+  const draws = [];
+
+  for (let draw = 0; draw < winnerCount; draw++) {
+    const totalWeight = remaining.reduce((sum, { weight }) => sum + weight, 0n);
+    const limit = uint256Range - uint256Range % totalWeight;
+
+    let attempt = 0;
+    let random = BigInt(ethers.solidityPackedKeccak256(['bytes32', 'uint256', 'uint256'], [seed, draw, attempt]));
+    while (random >= limit) {
+      attempt++;
+      random = BigInt(ethers.solidityPackedKeccak256(['bytes32', 'uint256', 'uint256'], [seed, draw, attempt]));
+    }
+
+    const target = random % totalWeight;
+    let cumulative = 0n;
+    const index = remaining.findIndex(({ weight }) => (cumulative += weight) > target);
 
-  return addresses.map((address, index) => ({
-    address,
-    balance: parseFloat(finalBalances[index].toFixed(18)),
-  }));
+    const [winner] = remaining.splice(index, 1);
+    draws.push({ draw, attempt, random: ethers.toBeHex(random, 32), target: target.toString(), totalWeight: totalWeight.toString(), address: winner.address, weight: winner.weight.toString() });
+  }
+
+  return draws;
 };
 
-const adjustForTotal = (result, total) => {
-  let totalDistributed = result.reduce((sum, { balance }) => sum + balance, 0);
-  let discrepancy = total - totalDistributed;
+// The seed block has to be deep enough that a reorg can't swap its hash after the draw
+const getSeed = async (args) => {
+  if (args.seed !== undefined) {
+    if (!ethers.isHexString(args.seed, 32)) throw new Error(`Invalid --seed "${args.seed}", expected 32 bytes of hex`);
+    return { seed: args.seed.toLowerCase(), source: { type: 'given' } };
+  }
+  if (args.seedBlock === undefined) throw new Error('--raffle needs --seed or --seed-block');
+
+  const network = getNetwork(args.network, { rpc: args.rpc, chainId: args['chain-id'] });
+  const provider = getProvider(network);
+  const head = await provider.getBlockNumber();
 
-  while (Math.abs(discrepancy) > 0.000000000000001) {
-    const randomIndex = Math.floor(Math.random() * result.length);
-    result[randomIndex].balance += discrepancy;
-    totalDistributed = result.reduce((sum, { balance }) => sum + balance, 0);
-    discrepancy = total - totalDistributed;
+  if (args.seedBlock > head - args.confirmations) {
+    throw new Error(`Block ${args.seedBlock} doesn't have ${args.confirmations} confirmations yet (chain head is at ${head}), run the draw again later`);
   }
 
-  return result;
+  const block = await provider.getBlock(args.seedBlock);
+  return { seed: block.hash, source: { type: 'block', chainId: network.chainId, block: block.number, timestamp: block.timestamp, confirmations: args.confirmations } };
 };
 
-const saveToCSV = (data, outputFilePath) => {
-  const csvData = data.map(({ address, balance }) => `${address},${balance}`).join('\n');
+const sha256File = (filePath) => ethers.sha256(fs.readFileSync(filePath));
+
+const withoutZeroAmounts = (data) => data.filter(({ amount }) => amount > 0n);
+
+const saveToCSV = (data, outputFilePath, decimals) => {
+  const csvData = data.map(({ address, amount }) => `${address},${formatBigIntToDecimal(amount, decimals)}`).join('\n');
   fs.writeFileSync(outputFilePath, csvData);
 };
 
+// Token amounts from the command line in base units, parsed from the string so no precision is lost on the way
+const parseAmount = (value, decimals, name) => {
+  try {
+    const amount = ethers.parseUnits(String(value), decimals);
+    if (amount < 0n) throw new Error('negative');
+    return amount;
+  } catch (error) {
+    throw new Error(`Invalid ${name} "${value}" for a token with ${decimals} decimals`);
+  }
+};
+
 (async () => {
   try {
-    const { files, total, equal, weighted, weightScale, minimum, maximum } = argv;
+    const { equal, weighted, tiered, raffle, weightScale, decimals } = argv;
+    const { files, multipliers, tiers, exclude, include, ...inputs } = loadInputs(argv);
+    // Brackets go by what an address holds across the files by default, weights by its best file
+    const merge = inputs.merge || (tiered || raffle ? 'sum' : 'max');
+    const idFilter = argv.id !== undefined ? parseIdFilter(argv.id) : null;
+    const addressLists = loadAddressLists(exclude, include);
+    const rowOptions = { idFilter, addressLists };
+    const fixedTiers = tiered && argv.tierAmounts === 'fixed';
+
+    if (argv.total === undefined && !fixedTiers) throw new Error('--total is required, except for --tiered with fixed amounts');
+    const total = argv.total !== undefined ? parseAmount(argv.total, decimals, '--total') : null;
+    const minimum = parseAmount(argv.minimum, decimals, '--minimum');
+    const maximum = argv.maximum !== undefined ? parseAmount(argv.maximum, decimals, '--maximum') : null;
 
     const validFiles = files.filter((filePath) => path.basename(filePath) !== outputFileName);
+    const validMultipliers = multipliers.filter((_, index) => path.basename(files[index]) !== outputFileName);
 
     let result;
 
     if (equal) {
-      const allAddresses = new Set();
-
-      for (const filePath of validFiles) {
-        const fileData = await parseCsvFile(filePath);
-        fileData.forEach(({ Address }) => {
-          allAddresses.add(Address);
-        });
-      }
-
-      result = calculateEqualShare(Array.from(allAddresses), total);
+      result = calculateEqualShare(await readAddresses(validFiles, rowOptions, merge), total);
     } else if (weighted) {
       const fileWeightsArray = await Promise.all(
-        validFiles.map((filePath) => calculateWeightedShareForFile(filePath, weightScale))
+        validFiles.map((filePath) => calculateWeightedShareForFile(filePath, weightScale, rowOptions))
       );
 
-      const mergedWeights = mergeRelativeWeights(fileWeightsArray);
+      const mergedWeights = mergeRelativeWeights(fileWeightsArray, validMultipliers, merge);
+      if (!mergedWeights.size) throw new Error('No address is left to distribute to after merging the files');
 
       result = calculateWeightedShare(mergedWeights, total, minimum, maximum);
+    } else if (tiered) {
+      if (tiers === undefined) throw new Error('--tiered needs --tiers, or tiers in --config');
+      const parsedTiers = parseTiers(tiers, fixedTiers ? decimals : 18);
+      const fileBalancesArray = await Promise.all(validFiles.map((filePath) => readBalances(filePath, rowOptions)));
+
+      // Addresses outside every bracket get nothing, they're counted so a bracket set that misses holders shows
+      const bracketed = new Set();
+      const tierAmountsOf = (balances) => new Map(Array.from(balances, ([address, balance]) => [address, findTier(parsedTiers, balance)])
+        .filter(([address, tier]) => tier && bracketed.add(address))
+        .map(([address, tier]) => [address, tier.amount]));
+
+      let amounts;
+      let candidates;
+      if (argv.tierBy === 'merged') {
+        const mergedBalances = mergeRelativeWeights(fileBalancesArray, validMultipliers, merge);
+        candidates = mergedBalances.size;
+        amounts = tierAmountsOf(mergedBalances);
+      } else {
+        candidates = new Set(fileBalancesArray.flatMap((balances) => [...balances.keys()])).size;
+        amounts = mergeExactAmounts(fileBalancesArray.map(tierAmountsOf), validMultipliers, merge);
+      }
+
+      if (bracketed.size < candidates) console.log(`Addresses outside every tier, left out: ${candidates - bracketed.size}`);
+
+      result = calculateTieredShare(amounts, total, argv.tierAmounts, decimals);
+    } else if (raffle) {
+      if (!Number.isInteger(argv.winners) || argv.winners < 1) throw new Error('--raffle needs --winners, a whole number above 0');
+
+      let candidates;
+      if (argv.raffleBy === 'balance') {
+        const fileBalancesArray = await Promise.all(validFiles.map((filePath) => readBalances(filePath, rowOptions, parseExactBalance)));
+        const weights = mergeExactAmounts(fileBalancesArray, validMultipliers, merge);
+        candidates = Array.from(weights, ([address, weight]) => ({ address, weight })).filter(({ weight }) => weight > 0n);
+      } else {
+        // Equal chances only need addresses, so address-only lists work as they do with --equal
+        candidates = (await readAddresses(validFiles, rowOptions, merge)).map((address) => ({ address, weight: 1n }));
+      }
+
+      if (!candidates.length) throw new Error('Nobody to draw from');
+      const winnerCount = Math.min(argv.winners, candidates.length);
+      if (winnerCount < argv.winners) console.log(`Only ${candidates.length} candidates for ${argv.winners} winners, everyone wins`);
+
+      const { seed, source } = await getSeed(argv);
+      const draws = drawWinners(candidates, winnerCount, seed);
+      result = withoutZeroAmounts(calculateEqualShare(draws.map(({ address }) => address), total));
+
+      // Everything needed to run the same draw again and check it comes out the same
+      fs.writeJsonSync(path.join(currentDir, auditFileName), {
+        seed,
+        seedSource: source,
+        algorithm: raffleAlgorithm,
+        weighting: argv.raffleBy === 'balance' ? 'Merged balance with 18 decimals, as a whole number' : 'Every candidate weighs 1',
+        merge,
+        idFilter: argv.id ?? null,
+        files: validFiles.map((filePath, index) => ({ file: path.basename(filePath), multiplier: validMultipliers[index], sha256: sha256File(filePath) })),
+        exclude: exclude.map((filePath) => ({ file: path.basename(filePath), sha256: sha256File(filePath) })),
+        include: include.map((filePath) => ({ file: path.basename(filePath), sha256: sha256File(filePath) })),
+        excluded: addressLists.excluded.size,
+        notIncluded: addressLists.notIncluded.size,
+        candidates: candidates.length,
+        winners: winnerCount,
+        total: total.toString(),
+        decimals,
+        draws,
+        recipients: result.map(({ address, amount }) => ({ address, amount: amount.toString() })),
+      }, { spaces: 2 });
+      console.log(`Raffle drawn with seed ${seed}, audit file saved to ${auditFileName}`);
     } else {
-      throw new Error('Either --equal or --weighted must be specified');
+      throw new Error('One of --equal, --weighted, --tiered or --raffle must be specified');
     }
 
-    result = adjustForTotal(result, total);
+    // Shares too small to come to a single base unit would only cost gas in the drop
+    const zeroAmounts = result.length - withoutZeroAmounts(result).length;
+    if (zeroAmounts) console.log(`Recipients whose share rounds to 0, left out: ${zeroAmounts}`);
+    result = withoutZeroAmounts(result);
+    if (!result.length) throw new Error('Every share rounds to 0, nothing to distribute');
 
-    saveToCSV(result, path.join(currentDir, outputFileName));
+    saveToCSV(result, path.join(currentDir, outputFileName), decimals);
 
-    const totalDistributed = result.reduce((sum, { balance }) => sum + balance, 0).toFixed(18);
+    const totalDistributed = result.reduce((sum, { amount }) => sum + amount, 0n);
+    if (exclude.length) console.log(`Excluded addresses left out: ${addressLists.excluded.size}`);
+    if (include.length) console.log(`Addresses left out for not being on the include list: ${addressLists.notIncluded.size}`);
     console.log(`Airdrop recipients saved to AirdropRecipients.csv`);
     console.log(`Number of recipients: ${result.length}`);
-    console.log(`Total distributed: ${totalDistributed}`);
+    console.log(`Total distributed: ${formatBigIntToDecimal(totalDistributed, decimals)}`);
   } catch (error) {
     console.error('Error processing CSV files:', error);
+    process.exitCode = 1;
   }
 })();
@@ -0,0 +1,192 @@
+import { ethers } from 'ethers';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table';
+import { formatBigIntToDecimal, commify, loadSnapshot } from './util/snapshot.js';
+
+const argv = yargs(hideBin(process.argv))
+  .version(false)
+  .option('from', {
+    alias: 'a',
+    description: 'Older snapshot JSON written by takeSnapshot.js',
+    type: 'string',
+    demandOption: true
+  })
+  .option('to', {
+    alias: 'b',
+    description: 'Newer snapshot JSON written by takeSnapshot.js',
+    type: 'string',
+    demandOption: true
+  })
+  .option('top', {
+    description: 'How many accumulators and sellers to list in the console',
+    type: 'number',
+    default: 10
+  })
+  .option('csv', {
+    description: 'Also save the per-holder changes in CSV format',
+    type: 'boolean',
+    default: false
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output file name without extension (default: Diff-<SYMBOL>-<fromBlock>-<toBlock>)',
+    type: 'string'
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+const currentDir = process.cwd();
+
+// Block a snapshot describes, historical snapshots carry the block they were taken at
+const snapshotBlockOf = (snapshot) => snapshot.snapshotBlock ?? snapshot.lastCheckedBlock;
+
+// Keyed by checksummed address so snapshots written with different casing still line up
+function normalizeBalances(balances) {
+  const normalized = new Map();
+  for (const [address, balance] of balances) {
+    const key = ethers.getAddress(address);
+    normalized.set(key, (normalized.get(key) || 0n) + balance);
+  }
+  return normalized;
+}
+
+function diffBalances(before, after) {
+  const changes = [];
+
+  for (const address of new Set([...before.keys(), ...after.keys()])) {
+    const oldBalance = before.get(address) || 0n;
+    const newBalance = after.get(address) || 0n;
+    const change = newBalance - oldBalance;
+
+    let status = 'unchanged';
+    if (oldBalance === 0n && newBalance > 0n) status = 'new';
+    else if (oldBalance > 0n && newBalance === 0n) status = 'exited';
+    else if (change > 0n) status = 'accumulated';
+    else if (change < 0n) status = 'sold';
+
+    changes.push({ address, status, before: oldBalance, after: newBalance, change });
+  }
+
+  return changes.sort((a, b) => (b.change > a.change ? 1 : b.change < a.change ? -1 : 0));
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+function main() {
+  const from = loadSnapshot(argv.from);
+  const to = loadSnapshot(argv.to);
+
+  // Snapshots from before types were recorded have no type, they can only be matched by symbol
+  const typesDiffer = from.type && to.type && from.type !== to.type;
+  if (typesDiffer || from.symbol !== to.symbol) {
+    console.log(chalk.red(`Snapshots are of different tokens: ${from.symbol} (${from.type}) and ${to.symbol} (${to.type})\n`));
+    process.exit(1);
+  }
+
+  if (from.decimals !== to.decimals) {
+    console.log(chalk.red(`Snapshots disagree on decimals: ${from.decimals} and ${to.decimals}\n`));
+    process.exit(1);
+  }
+
+  const fromBlock = snapshotBlockOf(from);
+  const toBlock = snapshotBlockOf(to);
+
+  if (fromBlock > toBlock) {
+    console.log(chalk.yellow(`--from is at block ${fromBlock}, after --to at block ${toBlock}. Changes are reported from --from to --to\n`));
+  }
+
+  const type = from.type || to.type;
+  const isERC20 = type ? type === 'ERC20' : from.decimals > 0;
+  const decimals = from.decimals;
+  const formatAmount = (value) => isERC20 ? formatBigIntToDecimal(value, decimals) : value.toString();
+  const displayAmount = (value) => isERC20 ? commify(formatAmount(value)) : value.toLocaleString('en-us');
+  const displayChange = (value) => (value > 0n ? '+' : '') + displayAmount(value);
+
+  const before = normalizeBalances(from.balances);
+  const after = normalizeBalances(to.balances);
+  const changes = diffBalances(before, after);
+
+  const byStatus = (status) => changes.filter(change => change.status === status);
+  const newHolders = byStatus('new');
+  const exitedHolders = byStatus('exited');
+  const accumulators = changes.filter(({ change }) => change > 0n);
+  const sellers = changes.filter(({ change }) => change < 0n).reverse();
+
+  const totalBefore = sum([...before.values()]);
+  const totalAfter = sum([...after.values()]);
+  const boughtByNewHolders = sum(newHolders.map(({ change }) => change));
+  const soldByExitedHolders = -sum(exitedHolders.map(({ change }) => change));
+
+  const summary = {
+    holdersBefore: before.size,
+    holdersAfter: after.size,
+    newHolders: newHolders.length,
+    exitedHolders: exitedHolders.length,
+    accumulators: accumulators.length,
+    sellers: sellers.length,
+    unchanged: byStatus('unchanged').length,
+    totalBefore: formatAmount(totalBefore),
+    totalAfter: formatAmount(totalAfter),
+    netChange: formatAmount(totalAfter - totalBefore),
+    boughtByNewHolders: formatAmount(boughtByNewHolders),
+    soldByExitedHolders: formatAmount(soldByExitedHolders)
+  };
+
+  const outputName = argv.output || `Diff-${from.symbol}-${fromBlock}-${toBlock}`;
+  const diff = {
+    symbol: from.symbol,
+    type,
+    from: { file: path.basename(argv.from), block: fromBlock },
+    to: { file: path.basename(argv.to), block: toBlock },
+    summary,
+    changes: changes
+      .filter(({ status }) => status !== 'unchanged')
+      .map(({ address, status, before, after, change }) => [address, status, formatAmount(before), formatAmount(after), formatAmount(change)])
+  };
+  if (isERC20) diff.decimals = decimals;
+
+  fs.writeJsonSync(path.join(currentDir, `${outputName}.json`), diff, { spaces: 2 });
+
+  if (argv.csv) {
+    const csvData = diff.changes.map(row => row.join(',')).join('\n');
+    fs.writeFileSync(path.join(currentDir, `${outputName}.csv`), `Address,Status,Before,After,Change\n${csvData}`);
+    console.log(chalk.green(`Diff saved\n${chalk.bold(`${outputName}.csv\n${outputName}.json`)}\n`));
+  } else {
+    console.log(chalk.green(`Diff saved\n${chalk.bold(`${outputName}.json`)}\n`));
+  }
+
+  const summaryTable = new Table({ head: ['', `Block ${fromBlock}`, `Block ${toBlock}`, 'Change'] });
+  const holderChange = after.size - before.size;
+  summaryTable.push(['Holders', before.size.toLocaleString('en-us'), after.size.toLocaleString('en-us'), (holderChange > 0 ? '+' : '') + holderChange.toLocaleString('en-us')]);
+  summaryTable.push([`Held ${from.symbol}`, displayAmount(totalBefore), displayAmount(totalAfter), displayChange(totalAfter - totalBefore)]);
+
+  console.log(chalk.bold(`${from.symbol} from block ${fromBlock} to block ${toBlock}:`));
+  console.log(summaryTable.toString());
+  console.log(chalk.bold(`\nNew holders: `) + chalk.blue(newHolders.length) + chalk.bold(`, bought `) + chalk.blue(displayAmount(boughtByNewHolders)));
+  console.log(chalk.bold(`Exited holders: `) + chalk.blue(exitedHolders.length) + chalk.bold(`, sold `) + chalk.blue(displayAmount(soldByExitedHolders)));
+
+  const changeTable = (rows) => {
+    const table = new Table({ head: ['Address', 'Status', 'Before', 'After', 'Change'] });
+    rows.slice(0, argv.top).forEach(({ address, status, before, after, change }) => {
+      table.push([address, status, displayAmount(before), displayAmount(after), displayChange(change)]);
+    });
+    return table.toString();
+  };
+
+  if (accumulators.length) {
+    console.log(chalk.bold(`\nTop accumulators:`));
+    console.log(changeTable(accumulators));
+  }
+
+  if (sellers.length) {
+    console.log(chalk.bold(`\nTop sellers:`));
+    console.log(changeTable(sellers));
+  }
+}
+
+main();
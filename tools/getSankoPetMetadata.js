@@ -1,13 +1,30 @@
-const contractAddress = "0xE3351CE33689dc444B1a45B8f8F447A181D57227";
-const jsonRpcUrl = "https://mainnet.sanko.xyz";
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { networkOptions, getNetwork } from './util/sanko.js';
 
-const tokenId = process.argv[2];
-const debug = process.argv.includes('--debug');
+const argv = yargs(hideBin(process.argv))
+    .version(false)
+    .command('$0 <tokenId>', 'Queries the Sanko Pets contract for metadata of a token', (command) => {
+        command.positional('tokenId', {
+            description: 'The ID of the token to query',
+            type: 'string'
+        });
+    })
+    .option('debug', {
+        description: 'Debug output',
+        type: 'boolean'
+    })
+    .options(networkOptions)
+    .help()
+    .alias('help', 'h')
+    .argv;
 
-if (!tokenId) {
-    console.error("Please provide a token ID");
-    process.exit(1);
-}
+const contractAddress = "0xE3351CE33689dc444B1a45B8f8F447A181D57227";
+const network = getNetwork(argv.network, { rpc: argv.rpc, chainId: argv['chain-id'] });
+const jsonRpcUrl = network.rpcUrls[0];
+
+const tokenId = argv.tokenId;
+const debug = argv.debug;
 
 async function queryTokenURI() {
     const data = {
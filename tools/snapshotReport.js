@@ -0,0 +1,368 @@
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table';
+import puppeteer from 'puppeteer';
+import { networkOptions, getNetwork } from './util/sanko.js';
+import { parseIdFilter } from './util/tokenIds.js';
+import { formatBigIntToDecimal, commify, loadSnapshot } from './util/snapshot.js';
+import { loadStoreMeta, readEvents } from './util/eventStore.js';
+import { transferDeltas } from './util/holding.js';
+import { giniCoefficient, nakamotoCoefficient, topConcentration, balanceHistogram } from './util/distribution.js';
+
+const argv = yargs(hideBin(process.argv))
+  .version(false)
+  .option('snapshot', {
+    alias: 's',
+    description: 'Snapshot JSON written by takeSnapshot.js',
+    type: 'string',
+    demandOption: true
+  })
+  .option('top', {
+    description: 'Holder counts to report the concentration of',
+    type: 'array',
+    number: true,
+    default: [1, 10, 50, 100]
+  })
+  .option('history-points', {
+    description: 'Number of points in the holders over time chart, drawn from the event store when it has the token',
+    type: 'number',
+    default: 30
+  })
+  .option('contract', {
+    alias: 'c',
+    description: "Token contract, to find the event store of snapshots that don't record it",
+    type: 'string'
+  })
+  .option('image', {
+    description: 'Render the report to a PNG',
+    type: 'boolean',
+    default: false
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output file name without extension (default: Report-<SYMBOL>-<block>)',
+    type: 'string'
+  })
+  .options(networkOptions)
+  .check(argv => {
+    if (argv.top.some(top => !Number.isInteger(top) || top < 1)) throw new Error('--top takes positive whole numbers');
+    if (!Number.isInteger(argv['history-points']) || argv['history-points'] < 2) throw new Error('--history-points needs at least 2 points');
+    return true;
+  })
+  .help()
+  .alias('help', 'h')
+  .argv;
+
+const currentDir = process.cwd();
+
+// Older snapshots don't record their contract, it's still part of the default file name
+function getSnapshotContract(snapshot) {
+  if (argv.contract) return argv.contract;
+  if (snapshot.contract) return snapshot.contract;
+  const match = path.basename(argv.snapshot).match(/0x[0-9a-fA-F]{40}/);
+  return match ? match[0] : null;
+}
+
+// Holder count at evenly spaced blocks from deployment to the snapshot block, replayed from the event store.
+// These count every address with a balance, the snapshot's holder filter isn't applied
+async function getHolderHistory(snapshot, snapshotBlock) {
+  const contract = getSnapshotContract(snapshot);
+  if (!contract) {
+    console.log(chalk.yellow(`The snapshot doesn't record its contract, pass --contract for holders over time`));
+    return null;
+  }
+
+  const chainId = snapshot.chainId ?? getNetwork(argv.network, { rpc: argv.rpc, chainId: argv['chain-id'] }).chainId;
+  const storeMeta = loadStoreMeta(chainId, contract);
+  if (!storeMeta || storeMeta.toBlock < snapshotBlock || (snapshot.type && storeMeta.type !== snapshot.type)) {
+    console.log(chalk.yellow(`No stored events of ${contract} up to block ${snapshotBlock} in this directory, holders over time are left out`));
+    return null;
+  }
+
+  const fromBlock = snapshot.deploymentBlock ?? storeMeta.fromBlock;
+  const points = Math.min(argv['history-points'], snapshotBlock - fromBlock + 1);
+  if (points < 2) return null;
+
+  const samples = Array.from({ length: points }, (_, index) => fromBlock + Math.round((snapshotBlock - fromBlock) * index / (points - 1)));
+  const idFilter = snapshot.ids ? parseIdFilter(snapshot.ids) : null;
+  const balances = new Map();
+  const history = [];
+  let holders = 0;
+  let next = 0;
+
+  for await (const event of readEvents(chainId, contract, snapshotBlock)) {
+    while (next < samples.length && event.blockNumber > samples[next]) history.push({ block: samples[next++], holders });
+
+    for (const [address, delta] of transferDeltas(event, storeMeta.type, idFilter)) {
+      const before = balances.get(address) || 0n;
+      const after = before + delta;
+      balances.set(address, after);
+      if (before <= 0n && after > 0n) holders++;
+      if (before > 0n && after <= 0n) holders--;
+    }
+  }
+
+  while (next < samples.length) history.push({ block: samples[next++], holders });
+
+  return history;
+}
+
+function generateReport(snapshot, history) {
+  const isERC20 = snapshot.type ? snapshot.type === 'ERC20' : snapshot.decimals > 0;
+  const decimals = isERC20 ? snapshot.decimals : 0;
+  const formatAmount = (value) => isERC20 ? commify(formatBigIntToDecimal(value, decimals)) : value.toLocaleString('en-us');
+
+  const balances = [...snapshot.balances.values()].filter(value => value > 0n);
+  const total = balances.reduce((sum, value) => sum + value, 0n);
+
+  const gini = giniCoefficient(balances);
+  const nakamoto = nakamotoCoefficient(balances);
+  const concentration = topConcentration(balances, [...new Set(argv.top)].sort((a, b) => a - b));
+  const histogram = balanceHistogram(balances, decimals);
+
+  const summaryTable = new Table({ head: ['Metric', 'Value'] });
+  summaryTable.push(['Holders', balances.length.toLocaleString('en-us')]);
+  summaryTable.push([`Held ${snapshot.symbol}`, formatAmount(total)]);
+  summaryTable.push(['Gini coefficient', gini.toFixed(4)]);
+  summaryTable.push(['Nakamoto coefficient', nakamoto.toLocaleString('en-us')]);
+
+  const concentrationTable = new Table({ head: ['Top holders', 'Held', 'Share'] });
+  concentration.forEach(({ top, held, share }) => concentrationTable.push([`Top ${top}`, formatAmount(held), `${share.toFixed(2)}%`]));
+
+  const histogramTable = new Table({ head: ['Balance', 'Holders', 'Holder share', 'Held', 'Supply share'] });
+  histogram.forEach(({ label, holders, holderShare, held, share }) => {
+    histogramTable.push([label, holders.toLocaleString('en-us'), `${holderShare.toFixed(2)}%`, formatAmount(held), `${share.toFixed(2)}%`]);
+  });
+
+  const historyTable = history ? new Table({ head: ['Block', 'Holders'] }) : null;
+  if (history) history.forEach(({ block, holders }) => historyTable.push([block, holders.toLocaleString('en-us')]));
+
+  console.log(chalk.bold(`\n${snapshot.symbol} holder distribution at block ${snapshot.snapshotBlock ?? snapshot.lastCheckedBlock}:`));
+  console.log(summaryTable.toString());
+  console.log(chalk.bold('\nConcentration:'));
+  console.log(concentrationTable.toString());
+  console.log(chalk.bold('\nHolders by balance:'));
+  console.log(histogramTable.toString());
+
+  if (history) {
+    console.log(chalk.bold('\nHolders over time (every address with a balance, before filtering):'));
+    console.log(historyTable.toString());
+  }
+
+  const data = {
+    symbol: snapshot.symbol,
+    type: snapshot.type,
+    block: snapshot.snapshotBlock ?? snapshot.lastCheckedBlock,
+    holders: balances.length,
+    total: isERC20 ? formatBigIntToDecimal(total, decimals) : total.toString(),
+    gini,
+    nakamoto,
+    concentration: concentration.map(({ top, holders, held, share }) => ({ top, holders, held: isERC20 ? formatBigIntToDecimal(held, decimals) : held.toString(), share })),
+    histogram: histogram.map(({ label, holders, holderShare, held, share }) => ({ label, holders, holderShare, held: isERC20 ? formatBigIntToDecimal(held, decimals) : held.toString(), share })),
+    history
+  };
+
+  return { data, summaryTable, concentrationTable, histogramTable };
+}
+
+// Token names and symbols come from the contract, anything put into the page is escaped so they render as text
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Inline SVG line chart, the report page loads nothing from the network
+function historyChart(history) {
+  const width = 1100;
+  const height = 260;
+  const padding = 40;
+  const maxHolders = Math.max(...history.map(({ holders }) => holders), 1);
+  const x = (index) => padding + (width - 2 * padding) * index / (history.length - 1);
+  const y = (holders) => height - padding - (height - 2 * padding) * holders / maxHolders;
+  const points = history.map(({ holders }, index) => `${x(index).toFixed(1)},${y(holders).toFixed(1)}`).join(' ');
+  const first = history[0];
+  const last = history[history.length - 1];
+
+  return `
+    <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#999" />
+      <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#999" />
+      <polyline points="${points}" fill="none" stroke="rgb(70, 130, 180)" stroke-width="3" />
+      <text x="${padding}" y="${height - 12}" font-size="14">Block ${first.block}</text>
+      <text x="${width - padding}" y="${height - 12}" font-size="14" text-anchor="end">Block ${last.block}</text>
+      <text x="${padding - 6}" y="${padding + 5}" font-size="14" text-anchor="end">${maxHolders.toLocaleString('en-us')}</text>
+      <text x="${padding - 6}" y="${height - padding}" font-size="14" text-anchor="end">0</text>
+    </svg>`;
+}
+
+function histogramBars(histogram) {
+  const maxHolders = Math.max(...histogram.map(({ holders }) => holders), 1);
+  return histogram.map(({ label, holders, share }) => `
+    <div class="bar-row">
+      <div class="bar-label">${escapeHtml(label)}</div>
+      <div class="bar-track"><div class="bar" style="width: ${(100 * holders / maxHolders).toFixed(1)}%"></div></div>
+      <div class="bar-value">${holders.toLocaleString('en-us')} holders, ${share.toFixed(2)}% held</div>
+    </div>`).join('');
+}
+
+async function createImage(report, imagePath) {
+  const { data } = report;
+  const date = new Date().toLocaleDateString('en-US');
+
+  const htmlContent = `
+    <html>
+    <head>
+        <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                margin: 0;
+                padding: 0;
+                background-color: rgba(30, 30, 40, 0.1);
+            }
+            .title {
+                width: 1200px;
+                padding: 20px 10px 10px;
+                box-sizing: border-box;
+                text-align: center;
+                font-size: 48px;
+                text-transform: uppercase;
+            }
+            .subtitle {
+                width: 1200px;
+                text-align: center;
+                font-size: 20px;
+                color: #555;
+            }
+            .container {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 10px;
+                padding: 20px 40px;
+                box-sizing: border-box;
+                width: 1200px;
+            }
+            .wide {
+                grid-column: 1 / span 2;
+            }
+            .table-container {
+                box-shadow: 0 0 10px rgba(0, 0, 0, 0.1);
+                border-radius: 8px;
+                overflow: hidden;
+                background: white;
+            }
+            table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 0;
+            }
+            th, td {
+                border: 1px solid #ddd;
+                padding: 8px;
+                text-align: left;
+            }
+            th {
+                background-color: #f4f4f4;
+            }
+            td:not(:first-child) {
+                text-align: right;
+            }
+            h3 {
+                margin: 0;
+                padding: 10px;
+                background-color: #f4f4f4;
+                text-align: center;
+            }
+            .bar-row {
+                display: flex;
+                align-items: center;
+                padding: 4px 10px;
+            }
+            .bar-label {
+                width: 140px;
+            }
+            .bar-track {
+                flex: 1;
+                background: #f4f4f4;
+                height: 18px;
+            }
+            .bar {
+                background: rgb(70, 130, 180);
+                height: 18px;
+            }
+            .bar-value {
+                width: 260px;
+                text-align: right;
+                font-size: 14px;
+            }
+            .chart {
+                padding: 10px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="title">${escapeHtml(data.symbol)} Holder Distribution</div>
+        <div class="subtitle">Block ${data.block} - ${date}</div>
+        <div class="container">
+            <div class="table-container">
+                <h3>Summary</h3>
+                <table>${generateHTMLTable(report.summaryTable)}</table>
+            </div>
+            <div class="table-container">
+                <h3>Concentration</h3>
+                <table>${generateHTMLTable(report.concentrationTable)}</table>
+            </div>
+            <div class="table-container wide">
+                <h3>Holders by Balance</h3>
+                ${histogramBars(data.histogram)}
+            </div>
+            ${data.history ? `
+            <div class="table-container wide">
+                <h3>Holders over Time</h3>
+                <div class="chart">${historyChart(data.history)}</div>
+            </div>` : ''}
+        </div>
+    </body>
+    </html>
+    `;
+
+  const browser = await puppeteer.launch();
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1200, height: 800 });
+    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+    await page.screenshot({ path: imagePath, fullPage: true });
+  } finally {
+    await browser.close();
+  }
+}
+
+function generateHTMLTable(table) {
+  const rows = table.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+  return `<thead><tr>${table.options.head.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead><tbody>${rows}</tbody>`;
+}
+
+async function main() {
+  const snapshot = loadSnapshot(argv.snapshot);
+  const snapshotBlock = snapshot.snapshotBlock ?? snapshot.lastCheckedBlock;
+
+  const history = await getHolderHistory(snapshot, snapshotBlock);
+  const report = generateReport(snapshot, history);
+
+  const outputName = argv.output || `Report-${snapshot.symbol}-${snapshotBlock}`;
+  fs.writeJsonSync(path.join(currentDir, `${outputName}.json`), report.data, { spaces: 2 });
+
+  if (argv.image) {
+    await createImage(report, path.join(currentDir, `${outputName}.png`));
+    console.log(chalk.green(`\nReport saved\n${chalk.bold(`${outputName}.json\n${outputName}.png`)}\n`));
+  } else {
+    console.log(chalk.green(`\nReport saved\n${chalk.bold(`${outputName}.json`)}\n`));
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red(error));
+  process.exit(1);
+});
@@ -5,7 +5,17 @@ import cliProgress from 'cli-progress';
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk';
-import sanko from './util/sanko.js';
+import { networkOptions, getNetwork, getProvider } from './util/sanko.js';
+import { parseIdFilter } from './util/tokenIds.js';
+import { getPastEvents } from './util/getPastEvents.js';
+import { formatBigIntToDecimal, commify } from './util/snapshot.js';
+import { aggregate } from './util/multicall.js';
+import { presetNames, loadAddressFilter, filterHolders } from './util/addressFilters.js';
+import { transferDeltas, computeHoldings, averageBalance } from './util/holding.js';
+import { mapWithConcurrency } from './util/concurrency.js';
+import { getBlockAtTime as findBlockAtTime } from './util/blocks.js';
+import { loadCustodyResolvers, getCustodyPositions } from './util/custody.js';
+import { loadStoreMeta, createCheckpointer, rollbackStore, clearStore, readEvents, toStoreRecord } from './util/eventStore.js';
 
 const currentDir = process.cwd();
 
@@ -17,6 +27,16 @@ const argv = yargs(hideBin(process.argv))
     type: 'string',
     demandOption: true
   })
+  .option('type', {
+    description: 'Token standard of the contract, skips detecting it on-chain',
+    type: 'string',
+    choices: ['ERC20', 'ERC721', 'ERC1155']
+  })
+  .option('output', {
+    alias: 'o',
+    description: 'Output file name without extension (default: <SYMBOL>-<CA>, plus the snapshot block and options)',
+    type: 'string'
+  })
   .option('debug', {
     description: 'Enable debug output',
     type: 'boolean',
@@ -24,7 +44,7 @@ const argv = yargs(hideBin(process.argv))
   })
   .option('block', {
     alias: 'b',
-    description: 'Contract deployment block (if known)',
+    description: 'Contract deployment block, or any block before it, to narrow the deployment search',
     type: 'number',
     default: 0
   })
@@ -38,23 +58,249 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('id', {
+    description: 'ERC721 and ERC1155 only, token ids to include: an id (3), a list (1,2,5) or a range (10-20)',
+    type: 'string'
+  })
+  .option('per-id', {
+    description: 'ERC1155 only, save one Address,Id,Balance row per token id instead of summing all ids per holder',
+    type: 'boolean',
+    default: false
+  })
+  .option('token-ids', {
+    description: 'ERC721 only, record which token ids each holder owns (CSV gets one Address,TokenId row per token)',
+    type: 'boolean',
+    default: false
+  })
+  .option('concurrency', {
+    description: 'Maximum number of log requests, and of code lookups when cleaning up holders, in flight at once',
+    type: 'number',
+    default: 4
+  })
+  .option('max-block-range', {
+    description: 'Largest block range requested per eth_getLogs call, lower it for RPCs with a hard limit',
+    type: 'number',
+    default: 100000
+  })
+  .option('checkpoint-interval', {
+    description: 'Seconds between saving scan progress to the event store',
+    type: 'number',
+    default: 15
+  })
+  .option('verify', {
+    description: 'Check reconstructed balances against balanceOf/ownerOf on-chain at the snapshot block via Multicall3',
+    type: 'boolean',
+    default: false
+  })
+  .option('use-onchain', {
+    description: 'With --verify, replace reconstructed balances with the on-chain values where they disagree',
+    type: 'boolean',
+    default: false
+  })
+  .option('confirmations', {
+    description: 'Only scan blocks at least this many blocks behind the chain head, protects against reorgs',
+    type: 'number',
+    default: 10
+  })
+  .option('include', {
+    description: 'Addresses to always keep, even contracts',
+    type: 'array',
+    string: true,
+    default: []
+  })
+  .option('exclude', {
+    description: 'Addresses to always drop',
+    type: 'array',
+    string: true,
+    default: []
+  })
+  .option('filter-config', {
+    description: 'JSON file with include and exclude address lists, presets and keepContracts',
+    type: 'string'
+  })
+  .option('presets', {
+    description: `Holder filter presets to apply, comma separated (${presetNames.join(', ')} or none). Defaults to all of them`,
+    type: 'string'
+  })
+  .option('keep-contracts', {
+    description: 'Keep contract holders unless a list or preset excludes them',
+    type: 'boolean'
+  })
+  .option('offline', {
+    description: 'Derive the snapshot from stored events only, without touching the RPC',
+    type: 'boolean',
+    default: false
+  })
+  .option('at-block', {
+    description: 'Snapshot balances as of this block, saved to its own file',
+    type: 'number',
+    conflicts: 'at-time'
+  })
+  .option('at-time', {
+    description: 'Snapshot balances as of this time (ISO 8601), resolved to the last block at or before it',
+    type: 'string',
+    conflicts: 'at-block'
+  })
+  .option('since-block', {
+    description: 'Start of the holding window for --balance-mode average/minimum, the window ends at the snapshot block',
+    type: 'number',
+    conflicts: 'since-time'
+  })
+  .option('since-time', {
+    description: 'Same as --since-block, as an ISO 8601 time',
+    type: 'string',
+    conflicts: 'since-block'
+  })
+  .option('balance-mode', {
+    description: 'Balance to save per holder: at the snapshot block (point), time-weighted average over the holding window (average) or the lowest balance held throughout it (minimum)',
+    type: 'string',
+    choices: ['point', 'average', 'minimum'],
+    default: 'point'
+  })
+  .option('weight-by', {
+    description: 'Weight averages by block timestamps (time) or block count (blocks)',
+    type: 'string',
+    choices: ['time', 'blocks'],
+    default: 'time'
+  })
+  .option('min-hold-blocks', {
+    description: 'Only keep holders that held a balance without interruption for at least this many blocks before the snapshot block',
+    type: 'number'
+  })
+  .option('min-hold-days', {
+    description: 'Only keep holders that held a balance without interruption for at least this many days before the snapshot block',
+    type: 'number'
+  })
+  .option('lp-pairs', {
+    description: 'ERC20 only, Uniswap V2 style pairs of the token whose pooled balance is credited to their liquidity providers',
+    type: 'array',
+    string: true,
+    default: []
+  })
+  .option('custody', {
+    description: 'JSON file of custody resolvers, crediting what staking vaults and escrows hold to their depositors',
+    type: 'string'
+  })
+  .option('watch', {
+    description: 'Keep running, follow new blocks, keep the snapshot up to date and print holder changes to stdout as NDJSON',
+    type: 'boolean',
+    default: false
+  })
+  .option('poll-interval', {
+    description: 'With --watch, seconds between polls for new blocks',
+    type: 'number',
+    default: 15
+  })
+  .option('thresholds', {
+    description: 'With --watch, balances (in tokens) to report holders crossing, in either direction',
+    type: 'array',
+    string: true,
+    default: []
+  })
+  .option('webhook', {
+    description: 'With --watch, URL every holder change is also POSTed to as JSON',
+    type: 'string'
+  })
+  .options(networkOptions)
+  .check(argv => {
+    if (argv.offline && (argv.refresh || argv['at-time'] || argv.verify)) {
+      throw new Error('--offline can only be combined with --at-block, --refresh, --at-time and --verify need the RPC');
+    }
+    if (argv['use-onchain'] && !argv.verify) {
+      throw new Error('--use-onchain needs --verify');
+    }
+    const hasWindow = argv['since-block'] !== undefined || argv['since-time'] !== undefined;
+    if (argv['balance-mode'] !== 'point' && !hasWindow) {
+      throw new Error(`--balance-mode ${argv['balance-mode']} needs a holding window, pass --since-block or --since-time`);
+    }
+    if (argv['balance-mode'] !== 'point' && (argv['per-id'] || argv['token-ids'])) {
+      throw new Error(`--balance-mode ${argv['balance-mode']} can't be combined with --per-id or --token-ids`);
+    }
+    if ((argv['lp-pairs'].length || argv.custody) && (argv['balance-mode'] !== 'point' || argv['min-hold-blocks'] !== undefined || argv['min-hold-days'] !== undefined)) {
+      throw new Error('--lp-pairs and --custody only work with point in time balances, LP and staked positions have no holding history');
+    }
+    if (argv.offline && (argv['since-time'] || argv['min-hold-days'] !== undefined || (hasWindow && argv['weight-by'] === 'time'))) {
+      throw new Error('--offline needs block numbers for holding windows, use --since-block, --min-hold-blocks and --weight-by blocks');
+    }
+    if (argv.watch && (argv.offline || argv['at-block'] !== undefined || argv['at-time'] || argv['use-onchain'])) {
+      throw new Error('--watch follows the chain head, it can\'t be combined with --offline, --at-block, --at-time or --use-onchain');
+    }
+    if (argv.watch && (argv['per-id'] || argv['token-ids'] || argv['balance-mode'] !== 'point' || hasWindow || argv['min-hold-blocks'] !== undefined || argv['min-hold-days'] !== undefined)) {
+      throw new Error('--watch only keeps point in time balances per holder, without --per-id, --token-ids, holding windows or minimum hold times');
+    }
+    if (argv.watch && (argv['lp-pairs'].length || argv.custody)) {
+      throw new Error("--watch can't be combined with --lp-pairs or --custody");
+    }
+    if (!argv.watch && (argv.thresholds.length || argv.webhook)) {
+      throw new Error('--thresholds and --webhook need --watch');
+    }
+    return true;
+  })
   .help()
   .alias('help', 'h')
   .argv;
 
-const jsonRpcUrl = "https://mainnet.sanko.xyz";
-const provider = new ethers.JsonRpcProvider(jsonRpcUrl, sanko);
+const network = getNetwork(argv.network, { rpc: argv.rpc, chainId: argv['chain-id'] });
+const provider = getProvider(network);
 
 const contractAddress = argv.contract;
+const typeOverride = argv.type;
+const outputName = argv.output;
 const debug = argv.debug;
 const startingBlock = argv['block'];
 const outputCsv = argv.csv;
 const refreshData = argv['refresh'];
-
+const atBlock = argv['at-block'];
+const atTime = argv['at-time'];
+const offline = argv.offline;
+const idFilter = argv.id !== undefined ? parseIdFilter(argv.id) : null;
+const perId = argv['per-id'];
+const withTokenIds = argv['token-ids'];
+const concurrency = argv.concurrency;
+const maxBlockRange = argv['max-block-range'];
+const checkpointInterval = argv['checkpoint-interval'];
+const verify = argv.verify;
+const confirmations = argv.confirmations;
+const useOnChain = argv['use-onchain'];
+const sinceBlock = argv['since-block'];
+const sinceTime = argv['since-time'];
+const balanceMode = argv['balance-mode'];
+const weightBy = argv['weight-by'];
+const minHoldBlocks = argv['min-hold-blocks'];
+const minHoldDays = argv['min-hold-days'];
+const lpPairs = argv['lp-pairs'].map(pair => {
+  if (!ethers.isAddress(pair)) throw new Error(`Invalid LP pair address "${pair}"`);
+  return ethers.getAddress(pair);
+});
+const watch = argv.watch;
+const pollInterval = argv['poll-interval'];
+const thresholdSpecs = argv.thresholds.join(',').split(',').map(value => value.trim()).filter(Boolean);
+const webhookUrl = argv.webhook;
+const custodyResolvers = argv.custody ? loadCustodyResolvers(argv.custody) : [];
+const addressFilter = loadAddressFilter(network, {
+  configPath: argv['filter-config'],
+  include: argv.include,
+  exclude: argv.exclude,
+  presets: argv.presets,
+  keepContracts: argv['keep-contracts']
+});
+
+// In watch mode stdout only carries the NDJSON holder changes, everything meant for humans goes to stderr
+if (watch) console.log = console.error;
+
+console.log(chalk.cyan(`Network: ${chalk.bold(network.name)} (${network.chainId})`));
 console.log(chalk.cyan(`Contract Address: ${chalk.bold(contractAddress)}\n`));
 
+async function hasCode(address, blockNumber) {
+  const code = await provider.getCode(address, blockNumber);
+  return code !== '0x';
+}
+
 async function checkBlockForDeployment(contractAddress, blockNumber) {
   try {
+    // Genesis allocations have no creation tx
+    if (blockNumber === 0) return await hasCode(contractAddress, 0);
+
     const block = await provider.getBlock(blockNumber, true);
 
     if (debug) console.log(block);
@@ -63,11 +309,18 @@ async function checkBlockForDeployment(contractAddress, blockNumber) {
       if (debug) console.log(tx);
       if (tx.to === null) {
         const receipt = await provider.getTransactionReceipt(tx.hash);
-        if (receipt.contractAddress === contractAddress) {
+        if (receipt.contractAddress && receipt.contractAddress.toLowerCase() === contractAddress.toLowerCase()) {
           return true;
         }
       }
     }
+
+    // Factory and CREATE2 deployments happen inside a call (tx.to !== null) so no receipt carries the address,
+    // the code first appearing in this block is the proof instead
+    if (!(await hasCode(contractAddress, blockNumber - 1)) && await hasCode(contractAddress, blockNumber)) {
+      if (debug) console.log(chalk.cyan(`Contract created by a factory in block ${blockNumber}`));
+      return true;
+    }
   } catch (error) {
     console.error(chalk.red(`Error checking block ${blockNumber}:`), error);
   }
@@ -78,26 +331,51 @@ async function checkBlockForDeployment(contractAddress, blockNumber) {
 async function getDeploymentBlock(contractAddress) {
   const latestBlockNumber = await provider.getBlockNumber();
   const progressBar = new cliProgress.SingleBar({
-    format: ` ${chalk.green('{bar}')} | {percentage}% | {value}/{total} Blocks Scanned`
+    format: ` ${chalk.green('{bar}')} | {percentage}% | {value}/{total} Steps`
   }, cliProgress.Presets.shades_classic);
 
-  console.log(chalk.cyan(`Scanning chain history for contract deployment\n`));
-  progressBar.start(latestBlockNumber - startingBlock + 1, 0);
+  console.log(chalk.cyan(`Searching chain history for contract deployment\n`));
+
+  try {
+    if (!(await hasCode(contractAddress, latestBlockNumber))) {
+      console.log(chalk.red(`No contract code found at ${contractAddress}, make sure you provided the correct CA\n`));
+      return null;
+    }
+
+    if (startingBlock > 0 && startingBlock <= latestBlockNumber && await checkBlockForDeployment(contractAddress, startingBlock)) {
+      console.log(chalk.green(`Deployment Block: ${startingBlock}\n`));
+      return startingBlock;
+    }
+
+    // Bisect for the first block with code, --block narrows the search when it's before the deployment
+    let low = startingBlock > 0 && startingBlock <= latestBlockNumber && !(await hasCode(contractAddress, startingBlock)) ? startingBlock : 0;
+    let high = latestBlockNumber;
+
+    progressBar.start(Math.ceil(Math.log2(high - low + 1)), 0);
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (await hasCode(contractAddress, mid)) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+      progressBar.increment();
+    }
+
+    progressBar.stop();
 
-  for (let blockNumber = startingBlock; blockNumber <= latestBlockNumber; blockNumber++) {
-    if (await checkBlockForDeployment(contractAddress, blockNumber)) {
-      progressBar.setTotal(blockNumber);
-      progressBar.update(blockNumber);
-      progressBar.stop();
-      console.log(chalk.green(`\nFound! Deployment Block: ${blockNumber}\n`));
-      return blockNumber;
+    if (await checkBlockForDeployment(contractAddress, low)) {
+      console.log(chalk.green(`\nFound! Deployment Block: ${low}\n`));
+      return low;
     }
 
-    progressBar.increment();
+    console.log(chalk.red(`\nCode first appears in block ${low} but the deployment couldn't be confirmed\n`));
+  } catch (error) {
+    progressBar.stop();
+    console.error(chalk.red(`\nError searching for the deployment block, historical eth_getCode needs an archive node:`), error);
   }
 
-  progressBar.stop();
-  console.log(chalk.red("\nCouldn't find contract deployment. Make sure you provided the correct CA and block matching/prior to deployment\n"));
   return null;
 }
 
@@ -107,50 +385,292 @@ async function verifyDeploymentBlock(contractAddress, deploymentBlock) {
   return false;
 }
 
+async function getBlockHash(blockNumber) {
+  const block = await provider.getBlock(blockNumber);
+  return block ? block.hash : null;
+}
+
+// Compares the stored checkpoint hashes with the chain, newest first, and rolls the event store back to the newest
+// one that is still canonical. Returns the store meta to continue from, or null when everything has to be refetched
+async function checkForReorg(address, storeMeta) {
+  const anchors = [...(storeMeta.anchors || [])].sort((a, b) => b.number - a.number);
+
+  if (!anchors.length) {
+    if (debug) console.log(chalk.yellow(`Stored events have no block hashes yet, can't check for reorgs\n`));
+    return storeMeta;
+  }
+
+  for (const [index, anchor] of anchors.entries()) {
+    if (await getBlockHash(anchor.number) !== anchor.hash) continue;
+    if (index === 0) return storeMeta;
+
+    console.log(chalk.yellow(`Reorg detected, block ${anchors[0].number} is no longer canonical. Rolling back stored events to block ${anchor.number}\n`));
+    await rollbackStore(network.chainId, address, anchor.number);
+    return loadStoreMeta(network.chainId, address);
+  }
+
+  console.log(chalk.yellow(`Reorg detected and no stored block is canonical anymore, refetching all events\n`));
+  clearStore(network.chainId, address);
+  return null;
+}
+
+// Brings an event store up to toBlock, committing checkpoints on the way so an interrupted scan resumes. meta is what gets
+// stored next to the events, logs are fetched from meta.contract. Stores hold the transfer events of meta.type unless
+// meta.events lists other event signatures. onEvents, when given, is called with each batch of events fetched by this
+// run, in block order.
+async function syncEvents(store, storeMeta, meta, toBlock, progressBar, onEvents) {
+  const syncFromBlock = storeMeta ? storeMeta.toBlock + 1 : meta.fromBlock;
+
+  if (syncFromBlock > toBlock) return;
+
+  // Without a progress bar, as in watch mode polls, the sync runs silently
+  const quiet = !progressBar;
+  if (quiet) {
+    progressBar = { start() {}, increment() {}, stop() {} };
+  } else if (storeMeta) {
+    console.log(chalk.cyan(`Found stored events up to block ${storeMeta.toBlock}, fast-forwarding...\n`));
+  } else {
+    console.log(chalk.cyan(`Checking transaction history...\n`));
+  }
+
+  const checkpointer = createCheckpointer(network.chainId, store, {
+    ...meta,
+    toBlock: syncFromBlock - 1,
+    anchors: storeMeta ? storeMeta.anchors : []
+  }, checkpointInterval * 1000, getBlockHash);
+
+  await checkpointer.save();
+
+  const onInterrupt = async () => {
+    progressBar.stop();
+    const savedBlock = await checkpointer.save();
+    console.log(chalk.yellow(`\n\nInterrupted, events saved up to block ${savedBlock}. Run the same command again to resume\n`));
+    process.exit(130);
+  };
+
+  process.once('SIGINT', onInterrupt);
+  progressBar.start(toBlock - syncFromBlock + 1, 0);
+
+  try {
+    await fetchEvents(meta.contract, meta.events || transferEventAbis[meta.type], syncFromBlock, toBlock, progressBar, (lastBlock, events) => {
+      checkpointer.add(events, lastBlock);
+      if (onEvents) onEvents(events);
+    });
+  } catch (error) {
+    progressBar.stop();
+    const savedBlock = await checkpointer.save();
+    console.log(chalk.yellow(`\n\nEvents saved up to block ${savedBlock}, run the same command again to resume\n`));
+    throw error;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+
+  await checkpointer.save();
+  progressBar.stop();
+}
+
+const pairAbi = [
+  "function token0() view returns (address)",
+  "function token1() view returns (address)"
+];
+
+// Syncs the LP token events of a Uniswap V2 style pair into the event store and returns who held how much LP at blockTag
+async function getLpPosition(pairAddress, blockTag, progressBar) {
+  let pairMeta = refreshData ? null : loadStoreMeta(network.chainId, pairAddress);
+
+  if (offline) {
+    if (!pairMeta || pairMeta.toBlock < blockTag) {
+      throw new Error(`Stored events of LP pair ${pairAddress} don't reach block ${blockTag}, run once without --offline first`);
+    }
+  } else {
+    const pair = new ethers.Contract(pairAddress, pairAbi, provider);
+    const tokens = await Promise.all([pair.token0({ blockTag }), pair.token1({ blockTag })]).catch(() => []);
+    if (!tokens.some(token => token.toLowerCase() === contractAddress.toLowerCase())) {
+      throw new Error(`${pairAddress} is not a Uniswap V2 style pair of ${contractAddress}`);
+    }
+
+    if (refreshData) clearStore(network.chainId, pairAddress);
+    if (pairMeta) pairMeta = await checkForReorg(pairAddress, pairMeta);
+
+    const deploymentBlock = pairMeta ? pairMeta.fromBlock : await getDeploymentBlock(pairAddress);
+    if (deploymentBlock === null) throw new Error(`Couldn't find the deployment block of LP pair ${pairAddress}`);
+
+    const pairToken = (pairMeta && { name: pairMeta.name, symbol: pairMeta.symbol }) || await getTokenInfo(pairAddress) || { name: 'LP', symbol: 'LP' };
+    console.log(chalk.cyan(`Syncing ${pairToken.symbol} LP token events of pair ${pairAddress}\n`));
+
+    await syncEvents(pairAddress, pairMeta, {
+      contract: pairAddress,
+      chainId: network.chainId,
+      type: 'ERC20',
+      decimals: 18,
+      name: pairToken.name,
+      symbol: pairToken.symbol,
+      fromBlock: deploymentBlock
+    }, blockTag, progressBar);
+  }
+
+  const lpBalances = await getERC20Holders(readEvents(network.chainId, pairAddress, blockTag));
+
+  // V2 pairs lock MINIMUM_LIQUIDITY by minting it to the zero address, it still counts towards the LP supply
+  let lpSupply = 0n;
+  for await (const { from, to, value } of readEvents(network.chainId, pairAddress, blockTag)) {
+    if (from === ethers.ZeroAddress) lpSupply += BigInt(value);
+    else if (to === ethers.ZeroAddress) lpSupply -= BigInt(value);
+  }
+
+  return { pair: pairAddress, lpBalances, lpSupply };
+}
+
+// Custody events live in their own store next to the vault's, the vault may well be a token with transfers of its own
+const custodyStore = (resolver) => `${resolver.vault}-custody`;
+
+async function syncCustodyEvents(resolver, fromBlock, toBlock, progressBar) {
+  const store = custodyStore(resolver);
+  let vaultMeta = refreshData ? null : loadStoreMeta(network.chainId, store);
+
+  // Start over when the resolver config changed since the events were stored
+  const matches = (meta) => meta.token === contractAddress && JSON.stringify(meta.events) === JSON.stringify(resolver.events);
+
+  if (offline) {
+    if (!vaultMeta || !matches(vaultMeta) || vaultMeta.toBlock < toBlock) {
+      throw new Error(`Stored custody events of vault ${resolver.vault} don't reach block ${toBlock}, run once without --offline first`);
+    }
+    return;
+  }
+
+  if (refreshData || (vaultMeta && !matches(vaultMeta))) {
+    clearStore(network.chainId, store);
+    vaultMeta = null;
+  }
+
+  if (vaultMeta) vaultMeta = await checkForReorg(store, vaultMeta);
+
+  console.log(chalk.cyan(`Syncing custody events of vault ${resolver.vault}\n`));
+
+  await syncEvents(store, vaultMeta, {
+    contract: resolver.vault,
+    chainId: network.chainId,
+    type: 'custody',
+    token: contractAddress,
+    events: resolver.events,
+    fromBlock: resolver.fromBlock ?? fromBlock
+  }, toBlock, progressBar);
+}
+
+// Token ids held by an ERC721 vault mapped to their owners through the resolver's view, batched through Multicall3
+async function getViewOwners(resolver, tokenIds, blockTag) {
+  const viewInterface = new ethers.Interface([resolver.view]);
+  const results = await aggregate(provider, network.multicall3, tokenIds.map(tokenId => ({
+    target: resolver.vault,
+    callData: viewInterface.encodeFunctionData(resolver.view, [tokenId])
+  })), { blockTag });
+
+  const tokenOwners = {};
+  results.forEach(({ success, returnData }, index) => {
+    if (!success) return;
+    const [owner] = viewInterface.decodeFunctionResult(resolver.view, returnData);
+    if (owner !== ethers.ZeroAddress) tokenOwners[tokenIds[index]] = owner;
+  });
+
+  return tokenOwners;
+}
+
 async function getCurrentBlock() {
   const blockNumber = await provider.getBlockNumber();
   if (debug) console.log(chalk.cyan(`Current Block: ${blockNumber}\n`));
   return blockNumber;
 }
 
-async function getPastEvents(contract, eventName, fromBlock, toBlock, progressBar) {
-  const events = [];
-  const batchSize = 1000;
+async function getBlockAtTime(isoTime) {
+  const blockNumber = await findBlockAtTime(provider, isoTime);
+  if (debug) console.log(chalk.cyan(`Resolved ${isoTime} to block ${blockNumber}\n`));
+  return blockNumber;
+}
+
+// Maps blocks of the holding window to what averages are weighted by, timestamps are fetched for every block a balance changed in
+async function getWindowClock(fromBlock, toBlock) {
+  if (weightBy === 'blocks') return (block) => block;
 
-  for (let i = fromBlock; i <= toBlock; i += batchSize) {
-    const endBlock = Math.min(i + batchSize - 1, toBlock);
-    if (debug) console.log(chalk.cyan(`Fetching events from block ${i} to ${endBlock}`));
-    const newEvents = await contract.queryFilter(eventName, i, endBlock);
-    events.push(...newEvents);
-    progressBar.increment(batchSize);
+  const blocks = new Set([fromBlock, toBlock]);
+  for await (const { blockNumber } of readEvents(network.chainId, contractAddress, toBlock)) {
+    if (blockNumber >= fromBlock) blocks.add(blockNumber);
   }
 
-  progressBar.setTotal(toBlock - fromBlock);
-  progressBar.update(toBlock - fromBlock);
+  const timestamps = new Map();
+  await mapWithConcurrency([...blocks], concurrency, async (blockNumber) => {
+    timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+  });
 
-  return events;
+  return (block) => timestamps.get(block);
 }
 
-function formatBigIntToDecimal(bigIntValue) {
-  const strValue = bigIntValue.toString();
-  const paddedValue = strValue.padStart(19, '0');
-  const integerPart = paddedValue.slice(0, -18);
-  const decimalPart = paddedValue.slice(-18);
-  return `${integerPart}.${decimalPart}`;
+// Last block a holder must have held since to have held for --min-hold-blocks and --min-hold-days, -1 when that's before genesis
+async function getEligibleBlock(snapshotBlock) {
+  let eligibleBlock = null;
+
+  if (minHoldBlocks !== undefined) eligibleBlock = snapshotBlock - minHoldBlocks;
+
+  if (minHoldDays !== undefined) {
+    const [{ timestamp }, genesisBlock] = await Promise.all([provider.getBlock(snapshotBlock), provider.getBlock(0)]);
+    const cutoff = timestamp - Math.round(minHoldDays * 86400);
+    const dayBlock = cutoff < genesisBlock.timestamp ? -1 : await getBlockAtTime(new Date(cutoff * 1000).toISOString());
+    eligibleBlock = eligibleBlock === null ? dayBlock : Math.min(eligibleBlock, dayBlock);
+  }
+
+  return eligibleBlock;
 }
 
-async function getERC20Holders(contractAddress, fromBlock, toBlock, progressBar) {
-  const abi = [
+const transferEventAbis = {
+  ERC20: [
     "event Transfer(address indexed from, address indexed to, uint256 value)"
-  ];
-  const contract = new ethers.Contract(contractAddress, abi, provider);
-  const transferEvents = await getPastEvents(contract, "Transfer", fromBlock, toBlock, progressBar);
+  ],
+  ERC721: [
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+  ],
+  ERC1155: [
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+  ]
+};
+
+async function fetchEvents(contractAddress, eventAbis, fromBlock, toBlock, progressBar, onProgress) {
+  const contractInterface = new ethers.Interface(eventAbis);
+  // All events of the contract in a single pass, topic0 matches any of them
+  const topics = [contractInterface.fragments.map(fragment => fragment.topicHash)];
+
+  const toRecords = (logs) => {
+    const records = [];
+
+    for (const log of logs) {
+      // ERC20 and ERC721 share the Transfer topic, skip logs that don't decode with this contract type's indexing
+      let description = null;
+      try {
+        description = contractInterface.parseLog(log);
+      } catch (error) {
+        if (debug) console.log(chalk.yellow(`Skipping undecodable log ${log.transactionHash}:${log.index}`));
+      }
+      if (description) records.push(toStoreRecord(log, description));
+    }
+
+    return records;
+  };
+
+  await getPastEvents(provider, { address: contractAddress, topics }, fromBlock, toBlock, {
+    concurrency,
+    maxWindow: maxBlockRange,
+    initialWindow: Math.min(1000, maxBlockRange),
+    debug,
+    onRange: (rangeFrom, rangeTo) => progressBar.increment(rangeTo - rangeFrom + 1),
+    // Ranges arrive here in block order, so everything up to lastBlock is complete
+    onProgress: (lastBlock, logs) => onProgress(lastBlock, toRecords(logs))
+  });
+}
 
+async function getERC20Holders(events) {
   const balances = {};
 
-  transferEvents.forEach(event => {
-    const { from, to, value } = event.args;
-    const valueBigInt = BigInt(value.toString());
+  for await (const { from, to, value } of events) {
+    const valueBigInt = BigInt(value);
 
     if (from !== ethers.ZeroAddress) {
       if (!balances[from]) balances[from] = 0n;
@@ -160,94 +680,88 @@ async function getERC20Holders(contractAddress, fromBlock, toBlock, progressBar)
       if (!balances[to]) balances[to] = 0n;
       balances[to] += valueBigInt;
     }
-  });
+  }
 
   return balances;
 }
 
-async function getERC721Holders(contractAddress, fromBlock, toBlock, progressBar) {
-  const abi = [
-    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
-  ];
-  const contract = new ethers.Contract(contractAddress, abi, provider);
-  const transferEvents = await getPastEvents(contract, "Transfer", fromBlock, toBlock, progressBar);
-
+async function getERC721TokenIds(events, idFilter) {
   const tokenOwners = {};
 
-  transferEvents.forEach(event => {
-    const { from, to, tokenId } = event.args;
-    if (from !== ethers.ZeroAddress) delete tokenOwners[tokenId.toString()];
-    if (to !== ethers.ZeroAddress) tokenOwners[tokenId.toString()] = to;
-  });
+  for await (const { from, to, tokenId } of events) {
+    if (idFilter && !idFilter.matches(tokenId)) continue;
+    if (from !== ethers.ZeroAddress) delete tokenOwners[tokenId];
+    if (to !== ethers.ZeroAddress) tokenOwners[tokenId] = to;
+  }
 
-  const holderCounts = {};
+  const holderTokenIds = {};
 
-  Object.values(tokenOwners).forEach(owner => {
-    if (!holderCounts[owner]) holderCounts[owner] = 0;
-    holderCounts[owner]++;
+  Object.entries(tokenOwners).forEach(([tokenId, owner]) => {
+    if (!holderTokenIds[owner]) holderTokenIds[owner] = [];
+    holderTokenIds[owner].push(tokenId);
   });
 
-  return holderCounts;
-}
+  for (const owner in holderTokenIds) {
+    holderTokenIds[owner].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+  }
 
-async function getERC1155Holders(contractAddress, fromBlock, toBlock, progressBar) {
-  const abi = [
-    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
-    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
-  ];
-  const contract = new ethers.Contract(contractAddress, abi, provider);
+  return holderTokenIds;
+}
 
-  const singleTransferEvents = await getPastEvents(contract, "TransferSingle", fromBlock, toBlock, progressBar);
-  const batchTransferEvents = await getPastEvents(contract, "TransferBatch", fromBlock, toBlock, progressBar);
+function countTokenIds(holderTokenIds) {
+  const holderCounts = {};
+  for (const owner in holderTokenIds) {
+    holderCounts[owner] = holderTokenIds[owner].length;
+  }
+  return holderCounts;
+}
 
+async function getERC1155Holders(events, idFilter) {
   const balances = {};
 
-  singleTransferEvents.forEach(event => {
-    const { from, to, id, value } = event.args;
-    const valueBigInt = BigInt(value.toString());
+  const applyTransfer = (from, to, id, value) => {
+    const valueBigInt = BigInt(value);
 
     if (from !== ethers.ZeroAddress) {
       if (!balances[from]) balances[from] = {};
-      if (!balances[from][id.toString()]) balances[from][id.toString()] = 0n;
-      balances[from][id.toString()] -= valueBigInt;
+      if (!balances[from][id]) balances[from][id] = 0n;
+      balances[from][id] -= valueBigInt;
     }
     if (to !== ethers.ZeroAddress) {
       if (!balances[to]) balances[to] = {};
-      if (!balances[to][id.toString()]) balances[to][id.toString()] = 0n;
-      balances[to][id.toString()] += valueBigInt;
+      if (!balances[to][id]) balances[to][id] = 0n;
+      balances[to][id] += valueBigInt;
     }
-  });
-
-  batchTransferEvents.forEach(event => {
-    const { from, to, ids, values } = event.args;
-    ids.forEach((id, index) => {
-      const valueBigInt = BigInt(values[index].toString());
-      const idStr = id.toString();
+  };
 
-      if (from !== ethers.ZeroAddress) {
-        if (!balances[from]) balances[from] = {};
-        if (!balances[from][idStr]) balances[from][idStr] = 0n;
-        balances[from][idStr] -= valueBigInt;
-      }
-      if (to !== ethers.ZeroAddress) {
-        if (!balances[to]) balances[to] = {};
-        if (!balances[to][idStr]) balances[to][idStr] = 0n;
-        balances[to][idStr] += valueBigInt;
-      }
-    });
-  });
+  for await (const event of events) {
+    if (event.event === 'TransferSingle') {
+      applyTransfer(event.from, event.to, event.id, event.value);
+    } else {
+      event.ids.forEach((id, index) => applyTransfer(event.from, event.to, id, event.values[index]));
+    }
+  }
 
   const holders = {};
   for (const address in balances) {
     for (const id in balances[address]) {
-      if (!holders[address]) holders[address] = 0n;
-      holders[address] += balances[address][id];
+      if (balances[address][id] === 0n || (idFilter && !idFilter.matches(id))) continue;
+      if (!holders[address]) holders[address] = {};
+      holders[address][id] = balances[address][id];
     }
   }
 
   return holders;
 }
 
+function sumTokenIdBalances(holders) {
+  const summed = {};
+  for (const address in holders) {
+    summed[address] = Object.values(holders[address]).reduce((sum, balance) => sum + balance, 0n);
+  }
+  return summed;
+}
+
 const ERC721_INTERFACE_ID = "0x80ac58cd";
 const ERC1155_INTERFACE_ID = "0xd9b67a26";
 const erc165Abi = [
@@ -311,153 +825,793 @@ async function getTokenInfo(contractAddress) {
   }
 }
 
-async function isContract(address) {
-  const code = await provider.getCode(address);
-  return code !== '0x';
+async function getTokenDecimals(contractAddress) {
+  const contract = new ethers.Contract(contractAddress, ["function decimals() view returns (uint8)"], provider);
+  try {
+    return Number(await contract.decimals());
+  } catch (error) {
+    console.log(chalk.yellow(`Token has no decimals(), assuming 18\n`));
+    return 18;
+  }
 }
 
-function commify(value) {
-  const match = value.match(/^(-?)([0-9]*)(\.?)([0-9]*)$/);
-  if (!match || (!match[2] && !match[4])) {
-    throw new Error(`bad formatted number: ${ JSON.stringify(value) }`);
+const verifyInterfaces = {
+  ERC20: new ethers.Interface(["function balanceOf(address owner) view returns (uint256)"]),
+  ERC721: new ethers.Interface(["function ownerOf(uint256 tokenId) view returns (address)"]),
+  ERC1155: new ethers.Interface(["function balanceOf(address owner, uint256 id) view returns (uint256)"])
+};
+
+// Returns every holder (and token id for NFTs) whose reconstructed value doesn't match the chain at blockTag.
+// actual is null when the call reverted, e.g. ownerOf for a burned token
+async function verifyBalances(contractAddress, contractType, snapshotHolders, holderTokenIds, holderIdBalances, blockTag) {
+  const contractInterface = verifyInterfaces[contractType];
+  const checks = [];
+
+  for (const holder in snapshotHolders) {
+    if (contractType === 'ERC20') {
+      checks.push({ holder, expected: snapshotHolders[holder], args: [holder] });
+    } else if (contractType === 'ERC721') {
+      holderTokenIds[holder].forEach(tokenId => checks.push({ holder, id: tokenId, expected: holder, args: [tokenId] }));
+    } else {
+      Object.entries(holderIdBalances[holder]).forEach(([id, balance]) => checks.push({ holder, id, expected: balance, args: [holder, id] }));
+    }
+  }
+
+  const method = contractType === 'ERC721' ? 'ownerOf' : 'balanceOf';
+  const calls = checks.map(({ args }) => ({ target: contractAddress, callData: contractInterface.encodeFunctionData(method, args) }));
+
+  const progressBar = new cliProgress.SingleBar({
+    format: ` ${chalk.green('{bar}')} | {percentage}% | {value}/{total} Balances Verified`
+  }, cliProgress.Presets.shades_classic);
+
+  progressBar.start(calls.length, 0);
+
+  let results;
+  try {
+    results = await aggregate(provider, network.multicall3, calls, { blockTag, onBatch: count => progressBar.increment(count) });
+  } finally {
+    progressBar.stop();
   }
 
-  const neg = match[1];
-  const whole = BigInt(match[2] || 0).toLocaleString("en-us");
-  const frac = match[4] ? match[4].match(/^(.*?)0*$/)[1]: "0";
+  const mismatches = [];
 
-  return `${ neg }${ whole }.${ frac }`;
+  results.forEach(({ success, returnData }, index) => {
+    const check = checks[index];
+    const actual = success ? contractInterface.decodeFunctionResult(method, returnData)[0] : null;
+    const matches = contractType === 'ERC721' ? actual !== null && actual.toLowerCase() === check.expected.toLowerCase() : actual === check.expected;
+    if (!matches) mismatches.push({ ...check, actual });
+  });
+
+  return mismatches;
 }
 
-async function main() {
-  const token = await getTokenInfo(contractAddress);
+async function applyOnChainBalances(contractType, mismatches, snapshotHolders, holderTokenIds, holderIdBalances, blockTag) {
+  for (const { holder, id, actual } of mismatches) {
+    if (contractType === 'ERC20') {
+      if (actual === null) continue;
+      snapshotHolders[holder] = actual;
+    } else if (contractType === 'ERC721') {
+      holderTokenIds[holder] = holderTokenIds[holder].filter(tokenId => tokenId !== id);
+
+      // Reverted ownerOf means the token is gone, otherwise it moves to its real owner unless the holder filter drops it
+      if (actual !== null && actual !== ethers.ZeroAddress) {
+        const owner = Object.keys(snapshotHolders).find(address => address.toLowerCase() === actual.toLowerCase()) || actual;
+        if (snapshotHolders[owner] !== undefined || (await filterHolders(provider, [owner], addressFilter, { blockTag })).kept.has(owner)) {
+          if (!holderTokenIds[owner]) holderTokenIds[owner] = [];
+          holderTokenIds[owner].push(id);
+          holderTokenIds[owner].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+          snapshotHolders[owner] = holderTokenIds[owner].length;
+        }
+      }
 
-  if (!token) return false;
+      snapshotHolders[holder] = holderTokenIds[holder].length;
+    } else {
+      if (actual === null) continue;
+      holderIdBalances[holder][id] = actual;
+      snapshotHolders[holder] = perId ? holderIdBalances[holder] : sumTokenIdBalances({ [holder]: holderIdBalances[holder] })[holder];
+    }
+  }
 
-  console.log(chalk.cyan(`Token found: ${chalk.yellow.bold(token.symbol)} - ${chalk.bold(token.name)}\n`));
+  // Drop whoever ended up with nothing
+  for (const holder in snapshotHolders) {
+    if (contractType === 'ERC1155' && holderIdBalances[holder]) {
+      for (const id in holderIdBalances[holder]) {
+        if (holderIdBalances[holder][id] === 0n) delete holderIdBalances[holder][id];
+      }
+      if (perId) snapshotHolders[holder] = holderIdBalances[holder];
+    }
 
-  const outputFilePath = path.join(currentDir, `${token.symbol}-${contractAddress}.json`);
-  
-  let existingHolders = {};
-  let fromBlock = startingBlock;
-  let contractDeploymentBlock;
+    const balance = snapshotHolders[holder];
+    if (balance === 0n || balance === 0 || (perId && Object.keys(balance).length === 0)) delete snapshotHolders[holder];
+  }
+}
+
+const compareBigInt = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
 
-  if (fs.existsSync(outputFilePath)) {
-    const data = fs.readJsonSync(outputFilePath);
+// Snapshot rows sorted by balance, ERC20 rows carry the raw base unit balance next to the formatted one so reloading a
+// snapshot is exact whatever the decimals. NFT balances are written as whole number strings, they can exceed what a
+// JSON number holds exactly
+function sortHolderRows(snapshotHolders, contractType, decimals) {
+  const sorted = Object.entries(snapshotHolders).sort(([, a], [, b]) => compareBigInt(b, a));
+  if (contractType === 'ERC20') return sorted.map(([holder, balance]) => [holder, formatBigIntToDecimal(balance, decimals), balance.toString()]);
+  return sorted.map(([holder, balance]) => [holder, balance.toString()]);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-    existingHolders = data.holders.reduce((acc, [address, balance]) => {
-      acc[address] = BigInt(String(balance).replace('.', ''));
-      return acc;
-    }, {});
+// Applies a stored transfer event to holder balances and returns the addresses it touched.
+// ERC721 counts and summed ERC1155 balances are kept as BigInts like ERC20 balances
+function applyTransfer(balances, event, contractType) {
+  return transferDeltas(event, contractType, idFilter).map(([address, delta]) => {
+    const balance = (balances.get(address) || 0n) + delta;
+    if (balance === 0n) balances.delete(address);
+    else balances.set(address, balance);
+    return address;
+  });
+}
 
-    if (data.deploymentBlock) {
-      const isValid = await verifyDeploymentBlock(contractAddress, data.deploymentBlock);
+async function replayBalances(contractType, toBlock) {
+  const balances = new Map();
+  for await (const event of readEvents(network.chainId, contractAddress, toBlock)) applyTransfer(balances, event, contractType);
+  return balances;
+}
 
-      if (isValid) {
-        if (refreshData) fromBlock = data.deploymentBlock;
-        if (!refreshData) console.log(chalk.cyan(`Found previous snapshot, fast-forwarding to block ${data.lastCheckedBlock}...\n`));
-        if (!refreshData) fromBlock = data.lastCheckedBlock;
-        contractDeploymentBlock = data.deploymentBlock;
+async function postWebhook(change) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(change),
+        signal: AbortSignal.timeout(10000)
+      });
+      if (response.ok) return;
+      throw new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      if (attempt === 3) {
+        console.log(chalk.yellow(`Webhook failed for ${change.type} of ${change.address}: ${error.message}`));
+        return;
+      }
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Writes next to the old file and renames it over, so whoever reads the snapshot never sees a half written one
+function writeFileAtomic(filePath, data) {
+  fs.writeFileSync(`${filePath}.tmp`, data);
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+// Follows the chain head: new events are synced into the store and applied to the holder balances, changes are printed
+// as NDJSON (and POSTed to the webhook) and the rolling snapshot is rewritten. A reorg, a failed poll or a store moved on
+// by another run rebuilds the balances from the store instead. Holder changes are measured against previousHolders, the
+// snapshot saved before this run, so changes made while nothing was watching are reported too
+async function watchHolders({ storeFields, contractType, decimals, fromBlock, snapshotName, checkedHolders, keptHolders, filtered, previousHolders }) {
+  const format = (value) => contractType === 'ERC20' ? formatBigIntToDecimal(value, decimals) : value.toString();
+  const thresholds = thresholdSpecs.map(spec => {
+    try {
+      return contractType === 'ERC20' ? ethers.parseUnits(spec, decimals) : BigInt(spec);
+    } catch (error) {
+      throw new Error(`Invalid threshold "${spec}" for an ${contractType} token`);
+    }
+  }).sort(compareBigInt);
+
+  // Whether an address passed the holder filter, so each address is only checked once
+  const filterDecisions = new Map(checkedHolders.map(address => [address, keptHolders.has(address)]));
+
+  let balances = await replayBalances(contractType, fromBlock);
+  let appliedBlock = fromBlock;
+
+  // Without an earlier snapshot the holders as of now are the baseline, nobody is reported as new
+  const effective = previousHolders
+    ? new Map(previousHolders.map(([address, balance, rawBalance]) => [
+      address,
+      contractType === 'ERC20' ? (rawBalance !== undefined ? BigInt(rawBalance) : ethers.parseUnits(balance, decimals)) : BigInt(balance)
+    ]))
+    : new Map([...balances].filter(([address]) => filterDecisions.get(address)));
+
+  const emit = async (change) => {
+    process.stdout.write(`${JSON.stringify(change)}\n`);
+    if (webhookUrl) await postWebhook(change);
+  };
+
+  const settle = async (addresses, block) => {
+    const unchecked = [...addresses].filter(address => balances.has(address) && !filterDecisions.has(address));
+
+    if (unchecked.length) {
+      const { kept, dropped, retained } = await filterHolders(provider, unchecked, addressFilter, { blockTag: block, concurrency });
+      unchecked.forEach(address => filterDecisions.set(address, kept.has(address)));
+      for (const [reason, count] of Object.entries(dropped)) filtered.dropped[reason] = (filtered.dropped[reason] || 0) + count;
+      for (const [reason, count] of Object.entries(retained)) filtered.kept[reason] = (filtered.kept[reason] || 0) + count;
+    }
+
+    for (const address of addresses) {
+      const previous = effective.get(address) || 0n;
+      const balance = filterDecisions.get(address) ? balances.get(address) || 0n : 0n;
+      if (balance === previous) continue;
+
+      if (balance === 0n) effective.delete(address);
+      else effective.set(address, balance);
+
+      const change = { contract: contractAddress, symbol: storeFields.symbol, block, address, previousBalance: format(previous), balance: format(balance) };
+
+      if (previous === 0n) await emit({ type: 'new_holder', ...change });
+      if (balance === 0n) await emit({ type: 'exited_holder', ...change });
+
+      for (const threshold of thresholds) {
+        if (previous < threshold && balance >= threshold) await emit({ type: 'threshold_crossed', direction: 'up', threshold: format(threshold), ...change });
+        if (previous >= threshold && balance < threshold) await emit({ type: 'threshold_crossed', direction: 'down', threshold: format(threshold), ...change });
+      }
+    }
+  };
+
+  const save = async (block) => {
+    const sortedHolders = sortHolderRows(Object.fromEntries(effective), contractType, decimals);
+    const snapshot = {
+      holders: sortedHolders,
+      lastCheckedBlock: block,
+      lastCheckedBlockHash: await getBlockHash(block),
+      deploymentBlock: storeFields.fromBlock,
+      symbol: storeFields.symbol,
+      type: contractType,
+      contract: contractAddress,
+      chainId: network.chainId
+    };
+    if (contractType === 'ERC20') snapshot.decimals = decimals;
+    snapshot.filtered = filtered;
+    if (idFilter) snapshot.ids = idFilter.spec;
+
+    writeFileAtomic(path.join(currentDir, `${snapshotName}.json`), JSON.stringify(snapshot, null, 2));
+
+    if (outputCsv) {
+      const csvHeader = contractType === 'ERC20' ? 'Address,Balance,RawBalance' : 'Address,Balance';
+      writeFileAtomic(path.join(currentDir, `${snapshotName}.csv`), `${csvHeader}\n${sortedHolders.map(row => row.join(',')).join('\n')}`);
+    }
+  };
+
+  await settle(new Set([...effective.keys(), ...balances.keys()]), appliedBlock);
+
+  console.log(chalk.cyan(`\nWatching for new blocks every ${pollInterval}s, holder changes go to stdout${webhookUrl ? ` and ${webhookUrl}` : ''}. Ctrl-C to stop\n`));
+
+  let rebuild = false;
+
+  while (true) {
+    await sleep(pollInterval * 1000);
+
+    try {
+      let storeMeta = loadStoreMeta(network.chainId, contractAddress);
+      if (storeMeta) storeMeta = await checkForReorg(contractAddress, storeMeta);
+      if (!storeMeta || storeMeta.toBlock !== appliedBlock) rebuild = true;
+
+      const headBlock = Math.max(0, await getCurrentBlock() - confirmations);
+      if (!rebuild && headBlock <= appliedBlock) continue;
+
+      const newEvents = [];
+      await syncEvents(contractAddress, storeMeta, storeFields, headBlock, null, events => newEvents.push(...events));
+      const toBlock = loadStoreMeta(network.chainId, contractAddress).toBlock;
+      let touched;
+
+      if (rebuild) {
+        balances = await replayBalances(contractType, toBlock);
+        touched = new Set([...effective.keys(), ...balances.keys()]);
       } else {
-        contractDeploymentBlock = await getDeploymentBlock(contractAddress);
+        touched = new Set(newEvents.flatMap(event => applyTransfer(balances, event, contractType)));
       }
+
+      appliedBlock = toBlock;
+      rebuild = false;
+
+      await settle(touched, toBlock);
+      await save(toBlock);
+
+      if (debug) console.log(chalk.cyan(`Block ${toBlock}: ${newEvents.length} new events, ${effective.size} holders`));
+    } catch (error) {
+      rebuild = true;
+      console.log(chalk.yellow(`Poll failed, retrying in ${pollInterval}s: ${error.message || error}`));
+    }
+  }
+}
+
+async function main() {
+  let storeMeta = refreshData ? null : loadStoreMeta(network.chainId, contractAddress);
+
+  if (offline && !storeMeta) {
+    console.log(chalk.red(`No stored events for this contract on ${network.name} yet, run once without --offline first\n`));
+    return false;
+  }
+
+  const token = offline ? { name: storeMeta.name, symbol: storeMeta.symbol } : await getTokenInfo(contractAddress);
+
+  if (!token) return false;
+
+  console.log(chalk.cyan(`Token found: ${chalk.yellow.bold(token.symbol)} - ${chalk.bold(token.name)}\n`));
+
+  const rollingFilePath = path.join(currentDir, `${token.symbol}-${contractAddress}.json`);
+
+  let snapshotBlock = null;
+  if (atBlock !== undefined) snapshotBlock = atBlock;
+  if (atTime) snapshotBlock = await getBlockAtTime(atTime);
+
+  const isHistorical = snapshotBlock !== null;
+
+  let windowStart = null;
+  if (sinceBlock !== undefined) windowStart = sinceBlock;
+  if (sinceTime) windowStart = await getBlockAtTime(sinceTime);
+
+  let snapshotName = isHistorical ? `${token.symbol}-${contractAddress}-${snapshotBlock}` : `${token.symbol}-${contractAddress}`;
+  if (idFilter) snapshotName += `-ids-${idFilter.label}`;
+  if (perId) snapshotName += '-per-id';
+  if (withTokenIds) snapshotName += '-token-ids';
+  if (balanceMode === 'average') snapshotName += `-twab-${windowStart}`;
+  if (balanceMode === 'minimum') snapshotName += `-min-${windowStart}`;
+  if (minHoldBlocks !== undefined) snapshotName += `-held-${minHoldBlocks}b`;
+  if (minHoldDays !== undefined) snapshotName += `-held-${minHoldDays}d`;
+  if (lpPairs.length) snapshotName += '-lp';
+  if (custodyResolvers.length) snapshotName += '-custody';
+  if (outputName) snapshotName = outputName;
+  const outputFilePath = path.join(currentDir, `${snapshotName}.json`);
+
+  if (isHistorical) {
+    if (fs.existsSync(outputFilePath)) {
+      console.log(chalk.yellow(`Snapshot at block ${snapshotBlock} already exists and won't be overwritten: ${chalk.bold(`${snapshotName}.json`)}\n`));
+      return true;
     }
+
+    console.log(chalk.cyan(`Taking snapshot at block ${chalk.bold(snapshotBlock)}${atTime ? ` (${atTime})` : ''}\n`));
+  }
+
+  let contractDeploymentBlock;
+
+  if (storeMeta) {
+    contractDeploymentBlock = storeMeta.fromBlock;
   } else {
-    if (!startingBlock || startingBlock === 0) {
-      console.log(chalk.red(`No deployment block specified, this is not recommended and searching all chain history will take a long time.\n`));
+    const rollingSnapshot = fs.existsSync(rollingFilePath) ? fs.readJsonSync(rollingFilePath) : {};
+
+    if (rollingSnapshot.deploymentBlock && await verifyDeploymentBlock(contractAddress, rollingSnapshot.deploymentBlock)) {
+      contractDeploymentBlock = rollingSnapshot.deploymentBlock;
+    } else {
+      contractDeploymentBlock = await getDeploymentBlock(contractAddress);
     }
-    
-    contractDeploymentBlock = await getDeploymentBlock(contractAddress);
-    fromBlock = contractDeploymentBlock;
   }
 
-  const currentBlock = await getCurrentBlock();
-  const totalBlocks = currentBlock - fromBlock + 1;
+  if (contractDeploymentBlock === null) return false;
+
+  if (isHistorical && contractDeploymentBlock > snapshotBlock) {
+    console.log(chalk.red(`Contract wasn't deployed yet at block ${snapshotBlock}\n`));
+    return false;
+  }
+
+  if (storeMeta && !offline) storeMeta = await checkForReorg(contractAddress, storeMeta);
+
+  // Never scan past the last block with enough confirmations
+  const headBlock = offline ? storeMeta.toBlock : Math.max(0, await getCurrentBlock() - confirmations);
+
+  if (isHistorical && snapshotBlock > headBlock) {
+    if (offline) {
+      console.log(chalk.red(`Stored events only cover up to block ${headBlock}, run without --offline to fetch up to block ${snapshotBlock}\n`));
+    } else {
+      console.log(chalk.red(`Block ${snapshotBlock} doesn't have ${confirmations} confirmations yet, latest safe block is ${headBlock}\n`));
+    }
+    return false;
+  }
+
+  const currentBlock = isHistorical ? snapshotBlock : headBlock;
+
+  if (windowStart !== null && windowStart > currentBlock) {
+    console.log(chalk.red(`Holding window starts at block ${windowStart}, after the snapshot block ${currentBlock}\n`));
+    return false;
+  }
   let progressBar = new cliProgress.SingleBar({
     format: ` ${chalk.green('{bar}')} | {percentage}% | {value}/{total} Blocks Processed`
   }, cliProgress.Presets.shades_classic);
 
   let holders;
-  let totalTransactions = 0;
-  let uniqueHolders = new Set();
+  let holderTokenIds;
+  let holderIdBalances;
+  let txCount = 0;
+  const uniqueTraders = new Set();
 
   try {
-    const contractType = await detectContractType(contractAddress, token.symbol);
+    if (typeOverride && storeMeta && storeMeta.type !== typeOverride) {
+      throw new Error(`Stored events are of an ${storeMeta.type} contract, not ${typeOverride}. Pass --refresh to refetch them as ${typeOverride}`);
+    }
+
+    const contractType = storeMeta ? storeMeta.type : typeOverride || await detectContractType(contractAddress);
 
     if (!contractType) throw new Error(`Unknown token type or contract not conforming to ERC20, ERC721, or ERC1155 standards`);
+    if (idFilter && contractType === 'ERC20') throw new Error(`--id only applies to ERC721 and ERC1155 contracts, this is an ${contractType}`);
+    let decimals = 0;
+    if (contractType === 'ERC20') {
+      if (storeMeta && storeMeta.decimals !== undefined) {
+        decimals = storeMeta.decimals;
+      } else if (offline) {
+        console.log(chalk.yellow(`Stored events don't record the token decimals, assuming 18\n`));
+        decimals = 18;
+      } else {
+        decimals = await getTokenDecimals(contractAddress);
+      }
+      if (debug) console.log(chalk.cyan(`Decimals: ${decimals}\n`));
+    }
 
-    console.log(chalk.cyan(`Checking transaction history...\n`));
+    if (perId && contractType !== 'ERC1155') throw new Error(`--per-id only applies to ERC1155 contracts, this is an ${contractType}`);
+    if (withTokenIds && contractType !== 'ERC721') throw new Error(`--token-ids only applies to ERC721 contracts, this is an ${contractType}`);
+
+    if (refreshData) clearStore(network.chainId, contractAddress);
+
+    const storeFields = {
+      contract: contractAddress,
+      chainId: network.chainId,
+      type: contractType,
+      decimals,
+      name: token.name,
+      symbol: token.symbol,
+      fromBlock: contractDeploymentBlock
+    };
+
+    await syncEvents(contractAddress, storeMeta, storeFields, currentBlock, progressBar, (events) => {
+      txCount += events.length;
+      for (const { from, to } of events) {
+        if (from !== ethers.ZeroAddress) uniqueTraders.add(from);
+        if (to !== ethers.ZeroAddress) uniqueTraders.add(to);
+      }
+    });
+
+    if (lpPairs.length && contractType !== 'ERC20') throw new Error(`--lp-pairs only applies to ERC20 contracts, this is an ${contractType}`);
+
+    const lpPositions = [];
+    for (const pair of lpPairs) lpPositions.push(await getLpPosition(pair, currentBlock, progressBar));
 
-    progressBar.start(totalBlocks, 0);
+    for (const resolver of custodyResolvers) {
+      if (resolver.view) {
+        if (contractType !== 'ERC721') throw new Error(`View based custody resolvers only apply to ERC721 contracts, vault ${resolver.vault} needs deposit and withdraw events`);
+        if (offline) throw new Error(`Vault ${resolver.vault} is resolved through a view, which needs the RPC`);
+      } else {
+        await syncCustodyEvents(resolver, contractDeploymentBlock, currentBlock, progressBar);
+      }
+    }
+
+    console.log(chalk.cyan(`Calculating balances at block ${currentBlock} from stored events...\n`));
+
+    const events = readEvents(network.chainId, contractAddress, currentBlock);
 
     switch (contractType) {
       case 'ERC20':
-        holders = await getERC20Holders(contractAddress, fromBlock, currentBlock, progressBar);
+        holders = await getERC20Holders(events);
         break;
       case 'ERC721':
-        holders = await getERC721Holders(contractAddress, fromBlock, currentBlock, progressBar);
+        holderTokenIds = await getERC721TokenIds(events, idFilter);
+        holders = countTokenIds(holderTokenIds);
         break;
       case 'ERC1155':
-        holders = await getERC1155Holders(contractAddress, fromBlock, currentBlock, progressBar);
+        holderIdBalances = await getERC1155Holders(events, idFilter);
+        holders = perId ? holderIdBalances : sumTokenIdBalances(holderIdBalances);
         break;
     }
 
-    progressBar.stop();
+    const hasBalance = (balance) => perId ? Object.keys(balance).length > 0 : balance !== 0n;
+    const snapshotHolders = {};
+    const candidates = Object.keys(holders).filter(holder => hasBalance(holders[holder]));
+
+    if (offline) {
+      console.log(chalk.yellow(`Offline, only the include/exclude lists and address presets are applied, contracts are not cleaned up from the holder list\n`));
+    } else {
+      console.log(chalk.cyan(`Cleaning up contracts from holder list...\n`));
+
+      progressBar = new cliProgress.SingleBar({
+        format: ` ${chalk.green('{bar}')} | {percentage}% | {value}/{total} Addresses Checked`
+      }, cliProgress.Presets.shades_classic);
+
+      progressBar.start(candidates.length, 0);
+    }
+
+    const { kept, dropped, retained } = await filterHolders(provider, candidates, addressFilter, {
+      blockTag: currentBlock,
+      concurrency,
+      checkCode: !offline,
+      onProgress: offline ? null : (count) => progressBar.increment(count)
+    });
+
+    if (!offline) progressBar.stop();
+
+    for (const holder of candidates) {
+      if (kept.has(holder)) snapshotHolders[holder] = holders[holder];
+    }
+
+    const describeCounts = (counts) => Object.entries(counts).map(([reason, count]) => `${count} ${reason}`).join(', ');
+    if (Object.keys(dropped).length) console.log(chalk.cyan(`\nDropped holders: ${describeCounts(dropped)}`));
+    if (Object.keys(retained).length) console.log(chalk.cyan(`Kept holders: ${describeCounts(retained)}`));
+
+    let verification = null;
 
-    for (const [holder, balance] of Object.entries(existingHolders)) {
-      if (contractType === 'ERC20') {
-        existingHolders[holder] = formatBigIntToDecimal(balance);
+    if (verify) {
+      console.log(chalk.cyan(`\nVerifying balances on-chain at block ${currentBlock}...\n`));
+
+      const mismatches = await verifyBalances(contractAddress, contractType, snapshotHolders, holderTokenIds, holderIdBalances, currentBlock);
+      const formatValue = (value) => {
+        if (value === null) return 'call reverted';
+        return contractType === 'ERC20' ? formatBigIntToDecimal(value, decimals) : value.toString();
+      };
+
+      if (mismatches.length) {
+        console.log(chalk.yellow(`\n${mismatches.length} mismatches between reconstructed and on-chain values:`));
+        mismatches.slice(0, 20).forEach(({ holder, id, expected, actual }) => {
+          const label = id !== undefined ? `${holder} #${id}` : holder;
+          console.log(`${chalk.magenta(label)}: snapshot ${chalk.yellow(formatValue(expected))}, on-chain ${chalk.bold.yellow(formatValue(actual))}`);
+        });
+        if (mismatches.length > 20) console.log(chalk.yellow(`...and ${mismatches.length - 20} more`));
       } else {
-        existingHolders[holder] = Number(balance);
+        console.log(chalk.green(`\nAll reconstructed values match the chain`));
+      }
+
+      if (useOnChain && mismatches.length) {
+        await applyOnChainBalances(contractType, mismatches, snapshotHolders, holderTokenIds, holderIdBalances, currentBlock);
+        console.log(chalk.cyan(`\nReplaced mismatched values with on-chain values`));
+      }
+
+      verification = { block: currentBlock, mismatches: mismatches.length, replaced: useOnChain && mismatches.length > 0 };
+    }
+
+    let lpAttribution = null;
+
+    // The pair's token balance goes to its liquidity providers pro rata to their LP balance, the same amounts burning the LP would return
+    if (lpPositions.length) {
+      lpAttribution = {};
+
+      for (const { pair, lpBalances, lpSupply } of lpPositions) {
+        const pairHolder = Object.keys(holders).find(address => address.toLowerCase() === pair.toLowerCase());
+        const pooled = pairHolder ? holders[pairHolder] : 0n;
+        if (pairHolder) delete snapshotHolders[pairHolder];
+
+        const providers = Object.keys(lpBalances).filter(address => lpBalances[address] > 0n && address !== pairHolder);
+        const { kept } = await filterHolders(provider, providers, addressFilter, { blockTag: currentBlock, concurrency, checkCode: !offline });
+        const credited = {};
+        let attributed = 0n;
+
+        for (const address of providers) {
+          if (!kept.has(address) || lpSupply === 0n) continue;
+          const amount = pooled * lpBalances[address] / lpSupply;
+          if (amount === 0n) continue;
+
+          snapshotHolders[address] = (snapshotHolders[address] || 0n) + amount;
+          credited[address] = amount.toString();
+          attributed += amount;
+        }
+
+        console.log(chalk.cyan(`\n${formatBigIntToDecimal(attributed, decimals)} of ${formatBigIntToDecimal(pooled, decimals)} ${token.symbol} in pair ${pair} credited to ${Object.keys(credited).length} liquidity providers`));
+        lpAttribution[pair] = { pooled: pooled.toString(), lpSupply: lpSupply.toString(), attributed: attributed.toString(), providers: credited };
       }
     }
 
-    console.log(chalk.cyan(`\nCleaning up contracts from holder list...\n`));
+    let custody = null;
 
-    progressBar = new cliProgress.SingleBar({
-      format: ` ${chalk.green('{bar}')} | {percentage}% | {value}/{total} Addresses Checked`
-    }, cliProgress.Presets.shades_classic);
-  
+    // Whatever a vault holds is credited to whoever deposited it, the vault itself is removed from the holder list
+    if (custodyResolvers.length) {
+      custody = {};
 
-    progressBar.start(Object.entries(holders).length, 0);
+      for (const resolver of custodyResolvers) {
+        const vaultHolder = Object.keys(holders).find(address => address.toLowerCase() === resolver.vault.toLowerCase());
+        if (vaultHolder) delete snapshotHolders[vaultHolder];
+
+        const positions = resolver.view
+          ? { tokenOwners: await getViewOwners(resolver, vaultHolder && holderTokenIds[vaultHolder] ? holderTokenIds[vaultHolder] : [], currentBlock) }
+          : await getCustodyPositions(readEvents(network.chainId, custodyStore(resolver), currentBlock), resolver, contractType, contractAddress, idFilter);
+
+        const credited = {};
+        let summary;
 
-    for (const [holder, balance] of Object.entries(holders)) {
-      totalTransactions++;
-      progressBar.increment(1);
-      uniqueHolders.add(holder);
-      if (balance !== 0n && !(await isContract(holder))) {
         if (contractType === 'ERC20') {
-          existingHolders[holder] = formatBigIntToDecimal(balance);
+          const owners = Object.keys(positions.balances).filter(owner => positions.balances[owner] > 0n);
+          const { kept } = await filterHolders(provider, owners, addressFilter, { blockTag: currentBlock, concurrency, checkCode: !offline });
+          let total = 0n;
+
+          for (const owner of owners) {
+            if (!kept.has(owner)) continue;
+            const amount = positions.balances[owner];
+            snapshotHolders[owner] = (snapshotHolders[owner] || 0n) + amount;
+            credited[owner] = amount.toString();
+            total += amount;
+          }
+
+          const held = vaultHolder ? holders[vaultHolder] : 0n;
+          console.log(chalk.cyan(`\n${formatBigIntToDecimal(total, decimals)} ${token.symbol} staked in vault ${resolver.vault} (holding ${formatBigIntToDecimal(held, decimals)}) credited to ${Object.keys(credited).length} depositors`));
+          summary = { held: held.toString(), credited: total.toString() };
+        } else if (contractType === 'ERC721') {
+          // Only tokens the vault really holds at the snapshot block are credited
+          const vaultTokens = vaultHolder && holderTokenIds[vaultHolder] ? holderTokenIds[vaultHolder] : [];
+          const owners = [...new Set(vaultTokens.map(tokenId => positions.tokenOwners[tokenId]).filter(Boolean))];
+          const { kept } = await filterHolders(provider, owners, addressFilter, { blockTag: currentBlock, concurrency, checkCode: !offline });
+          let total = 0;
+
+          for (const tokenId of vaultTokens) {
+            const owner = positions.tokenOwners[tokenId];
+            if (!owner || !kept.has(owner)) continue;
+
+            if (!holderTokenIds[owner]) holderTokenIds[owner] = [];
+            holderTokenIds[owner].push(tokenId);
+            holderTokenIds[owner].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+            snapshotHolders[owner] = holderTokenIds[owner].length;
+
+            if (!credited[owner]) credited[owner] = [];
+            credited[owner].push(tokenId);
+            total++;
+          }
+
+          console.log(chalk.cyan(`\n${total} of ${vaultTokens.length} ${token.symbol} staked in vault ${resolver.vault} credited to ${Object.keys(credited).length} depositors`));
+          summary = { held: vaultTokens.length, credited: total };
         } else {
-          existingHolders[holder] = Number(balance);
+          const vaultBalances = vaultHolder && holderIdBalances[vaultHolder] ? holderIdBalances[vaultHolder] : {};
+          const owners = Object.keys(positions.idBalances);
+          const { kept } = await filterHolders(provider, owners, addressFilter, { blockTag: currentBlock, concurrency, checkCode: !offline });
+          let total = 0n;
+
+          for (const owner of owners) {
+            if (!kept.has(owner)) continue;
+
+            for (const [id, amount] of Object.entries(positions.idBalances[owner])) {
+              if (amount <= 0n || !vaultBalances[id]) continue;
+
+              if (!holderIdBalances[owner]) holderIdBalances[owner] = {};
+              holderIdBalances[owner][id] = (holderIdBalances[owner][id] || 0n) + amount;
+
+              if (!credited[owner]) credited[owner] = {};
+              credited[owner][id] = amount.toString();
+              total += amount;
+            }
+
+            if (credited[owner]) {
+              snapshotHolders[owner] = perId ? holderIdBalances[owner] : sumTokenIdBalances({ [owner]: holderIdBalances[owner] })[owner];
+            }
+          }
+
+          const held = Object.values(vaultBalances).reduce((sum, amount) => sum + amount, 0n);
+          console.log(chalk.cyan(`\n${total} of ${held} ${token.symbol} staked in vault ${resolver.vault} credited to ${Object.keys(credited).length} depositors`));
+          summary = { held: held.toString(), credited: total.toString() };
         }
-      } else {
-        delete existingHolders[holder];
+
+        custody[resolver.vault] = { ...summary, depositors: credited };
+      }
+    }
+
+    let holding = null;
+
+    if (windowStart !== null || minHoldBlocks !== undefined || minHoldDays !== undefined) {
+      const fromBlock = windowStart ?? currentBlock;
+      console.log(chalk.cyan(`\nCalculating holding history${windowStart !== null ? ` from block ${fromBlock} to ${currentBlock}` : ''}...\n`));
+
+      const clock = windowStart !== null ? await getWindowClock(fromBlock, currentBlock) : (block) => block;
+      const duration = clock(currentBlock) - clock(fromBlock);
+      const holdings = await computeHoldings(readEvents(network.chainId, contractAddress, currentBlock), {
+        contractType, idFilter, fromBlock, toBlock: currentBlock, clock
+      });
+      const eligibleBlock = await getEligibleBlock(currentBlock);
+
+      const holdingStats = {};
+      let ineligible = 0;
+      let emptied = 0;
+
+      for (const holder of Object.keys(snapshotHolders)) {
+        const stats = holdings.get(holder);
+
+        if (eligibleBlock !== null && (!stats || stats.heldSince === null || stats.heldSince > eligibleBlock)) {
+          delete snapshotHolders[holder];
+          ineligible++;
+          continue;
+        }
+
+        if (!stats) continue;
+
+        if (windowStart === null) {
+          holdingStats[holder] = { heldSince: stats.heldSince };
+          continue;
+        }
+
+        const average = averageBalance(stats, duration);
+
+        // Whoever bought into the window late has a zero minimum, and possibly a zero average
+        if (balanceMode !== 'point') {
+          const value = balanceMode === 'average' ? average : stats.minimum;
+          if (value === 0n) {
+            delete snapshotHolders[holder];
+            emptied++;
+            continue;
+          }
+          snapshotHolders[holder] = value;
+        }
+
+        holdingStats[holder] = { average: average.toString(), minimum: stats.minimum.toString(), heldSince: stats.heldSince };
       }
+
+      if (eligibleBlock !== null) console.log(chalk.cyan(`${ineligible} holders dropped for holding since after block ${eligibleBlock}`));
+      if (balanceMode !== 'point') console.log(chalk.cyan(`${emptied} holders dropped for a zero ${balanceMode} balance over the window`));
+
+      holding = { balanceMode, holders: holdingStats };
+      if (windowStart !== null) Object.assign(holding, { fromBlock, toBlock: currentBlock, weightBy });
+      if (eligibleBlock !== null) Object.assign(holding, { eligibleBlock, ineligible });
+      if (minHoldBlocks !== undefined) holding.minHoldBlocks = minHoldBlocks;
+      if (minHoldDays !== undefined) holding.minHoldDays = minHoldDays;
     }
 
+    let sortedHolders;
 
-    const sortedHolders = Object.entries(existingHolders).sort(([, a], [, b]) => parseFloat(b) - parseFloat(a));
+    if (perId) {
+      sortedHolders = Object.entries(snapshotHolders)
+        .flatMap(([holder, balances]) => Object.entries(balances).map(([id, balance]) => [holder, id, balance]))
+        .sort(([, idA, a], [, idB, b]) => compareBigInt(b, a) || compareBigInt(BigInt(idA), BigInt(idB)))
+        .map(([holder, id, balance]) => [holder, id, balance.toString()]);
+    } else {
+      sortedHolders = sortHolderRows(snapshotHolders, contractType, decimals);
+    }
+
+    let lastCheckedBlockHash = null;
+    if (offline) {
+      const anchor = (storeMeta.anchors || []).find(({ number }) => number === currentBlock);
+      if (anchor) lastCheckedBlockHash = anchor.hash;
+    } else {
+      lastCheckedBlockHash = await getBlockHash(currentBlock);
+    }
+
+    const snapshot = { holders: sortedHolders, lastCheckedBlock: currentBlock, lastCheckedBlockHash, deploymentBlock: contractDeploymentBlock, symbol: token.symbol, type: contractType, contract: contractAddress, chainId: network.chainId };
+    if (contractType === 'ERC20') snapshot.decimals = decimals;
+    if (verification) snapshot.verification = verification;
+    snapshot.filtered = { presets: addressFilter.presets, dropped, kept: retained };
+    if (holding) snapshot.holding = holding;
+    if (lpAttribution) snapshot.lpAttribution = lpAttribution;
+    if (custody) snapshot.custody = custody;
+    if (isHistorical) snapshot.snapshotBlock = snapshotBlock;
+    if (idFilter) snapshot.ids = idFilter.spec;
+    if (perId) snapshot.perId = true;
+    if (withTokenIds) {
+      snapshot.tokenIds = Object.fromEntries(sortedHolders.map(([holder]) => [holder, holderTokenIds[holder]]));
+    }
+
+    const previousSnapshot = watch && fs.existsSync(outputFilePath) ? fs.readJsonSync(outputFilePath) : null;
 
-    fs.writeJsonSync(outputFilePath, { holders: sortedHolders, lastCheckedBlock: currentBlock, deploymentBlock: contractDeploymentBlock, symbol: token.symbol }, { spaces: 2 });
+    // Historical snapshots are write-once, 'wx' fails instead of clobbering an existing file
+    const writeFlag = isHistorical ? 'wx' : 'w';
+    fs.writeJsonSync(outputFilePath, snapshot, { spaces: 2, flag: writeFlag });
 
     if (outputCsv) {
-      const csvFilePath = path.join(currentDir, `${token.symbol}-${contractAddress}.csv`);
-      const csvData = sortedHolders.map(([holder, balance]) => `${holder},${balance}`).join('\n');
-      fs.writeFileSync(csvFilePath, `Address,Balance\n${csvData}`);
-      console.log(chalk.green(`\n\nSnapshot saved\n${chalk.bold(`${token.symbol}-${contractAddress}.csv\n${token.symbol}-${contractAddress}.json`)}`));
+      const csvFilePath = path.join(currentDir, `${snapshotName}.csv`);
+      let csvHeader = perId ? 'Address,Id,Balance' : 'Address,Balance';
+      if (contractType === 'ERC20') csvHeader = 'Address,Balance,RawBalance';
+      let csvRows = sortedHolders;
+
+      if (withTokenIds) {
+        csvHeader = 'Address,TokenId';
+        csvRows = sortedHolders.flatMap(([holder]) => holderTokenIds[holder].map(tokenId => [holder, tokenId]));
+      }
+
+      const csvData = csvRows.map(row => row.join(',')).join('\n');
+      fs.writeFileSync(csvFilePath, `${csvHeader}\n${csvData}`, { flag: writeFlag });
+      console.log(chalk.green(`\n\nSnapshot saved\n${chalk.bold(`${snapshotName}.csv\n${snapshotName}.json`)}`));
     } else {
-      console.log(chalk.green(`\n\nSnapshot saved\n${chalk.bold(`${token.symbol}-${contractAddress}.json`)}`));
+      console.log(chalk.green(`\n\nSnapshot saved\n${chalk.bold(`${snapshotName}.json`)}`));
     }
 
-    console.log(chalk.bold(`\nTx count since last snapshot: `) + chalk.blue(totalTransactions));
-    console.log(chalk.bold(`Unique traders since last snapshot: `) + chalk.blue(uniqueHolders.size));
-    console.log(chalk.bold(`Current holders: `) + chalk.blue(sortedHolders.length));
+    console.log(chalk.bold(`\nTx count since last snapshot: `) + chalk.blue(txCount));
+    console.log(chalk.bold(`Unique traders since last snapshot: `) + chalk.blue(uniqueTraders.size));
+    console.log(chalk.bold(`Current holders: `) + chalk.blue(Object.keys(snapshotHolders).length));
     console.log(chalk.bold(`Top 10 holders:`));
-    sortedHolders.slice(0, 10).forEach(([holder, balance], index) => {
+    sortedHolders.slice(0, 10).forEach((row) => {
+      const [holder, balance] = perId ? [`${row[0]} #${row[1]}`, row[2]] : row;
       console.log(`${chalk.magenta(holder)}: ${chalk.bold.yellow(commify(balance.toString()))} ${chalk.yellowBright(token.symbol)}`);
     });
 
+    if (watch) {
+      await watchHolders({
+        storeFields,
+        contractType,
+        decimals,
+        fromBlock: currentBlock,
+        snapshotName,
+        checkedHolders: candidates,
+        keptHolders: kept,
+        filtered: snapshot.filtered,
+        previousHolders: previousSnapshot && previousSnapshot.type === contractType ? previousSnapshot.holders : null
+      });
+    }
+
     process.exit(0);
   } catch (error) {
     progressBar.stop();
@@ -469,4 +1623,7 @@ async function main() {
   return false;
 }
 
-main();
+// Runs that stop early without a snapshot report failure, batchSnapshot.js relies on it
+main().then(result => {
+  if (result === false) process.exitCode = 1;
+});
@@ -2,15 +2,47 @@ import fetch from 'node-fetch';
 import fs from 'fs';
 import Table from 'cli-table';
 import puppeteer from 'puppeteer';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { networkOptions, getNetwork } from './util/sanko.js';
+
+const argv = yargs(hideBin(process.argv))
+    .version(false)
+    .option('debug', {
+        description: 'Debug output',
+        type: 'boolean'
+    })
+    .option('refreshall', {
+        description: 'Forces a refresh of the metadata for all tokens',
+        type: 'boolean'
+    })
+    .option('refresheggs', {
+        description: 'Forces a refresh of the metadata for Egg tokens',
+        type: 'boolean'
+    })
+    .option('image', {
+        description: 'Generates an image of the report',
+        type: 'boolean'
+    })
+    .option('premint', {
+        description: 'Includes the first 300 token IDs, --no-premint starts from token ID 301',
+        type: 'boolean',
+        default: true
+    })
+    .options(networkOptions)
+    .help()
+    .alias('help', 'h')
+    .argv;
 
 const contractAddress = "0xE3351CE33689dc444B1a45B8f8F447A181D57227";
-const jsonRpcUrl = "https://mainnet.sanko.xyz";
-
-const debug = process.argv.includes('--debug');
-const refreshAll = process.argv.includes('--refreshall');
-const refreshEggs = process.argv.includes('--refresheggs');
-const generateImage = process.argv.includes('--image');
-const noPremint = process.argv.includes('--no-premint');
+const network = getNetwork(argv.network, { rpc: argv.rpc, chainId: argv['chain-id'] });
+const jsonRpcUrl = network.rpcUrls[0];
+
+const debug = argv.debug;
+const refreshAll = argv.refreshall;
+const refreshEggs = argv.refresheggs;
+const generateImage = argv.image;
+const noPremint = !argv.premint;
 
 const cacheFileName = 'SankoPetCache.json';
 let cache = {};
@@ -0,0 +1,186 @@
+import { ethers } from 'ethers';
+import fs from 'fs-extra';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Common sinks tokens get sent to when they are burned without calling burn()
+const burnAddresses = [
+  '0x0000000000000000000000000000000000000000',
+  '0x0000000000000000000000000000000000000001',
+  '0x000000000000000000000000000000000000dEaD',
+  '0xdEAD000000000000000042069420694206942069'
+];
+
+const probeInterface = new ethers.Interface([
+  "function token0() view returns (address)",
+  "function token1() view returns (address)",
+  "function factory() view returns (address)",
+  "function WETH() view returns (address)",
+  "function WETH9() view returns (address)",
+  "function getThreshold() view returns (uint256)",
+  "function getOwners() view returns (address[])"
+]);
+
+// exclude presets drop matching holders, include presets keep contracts that would otherwise be dropped
+const presets = {
+  burn: { action: 'exclude', description: 'zero and dead addresses tokens get burned to' },
+  gaslite: { action: 'exclude', description: "the network's Gaslite Drop contract" },
+  dex: { action: 'exclude', description: 'Uniswap V2/V3 style pairs, pools and routers, detected on-chain' },
+  safe: { action: 'include', description: 'Safe multisigs, detected on-chain' }
+};
+
+const presetNames = Object.keys(presets);
+
+function normalizeAddress(address, source) {
+  if (!ethers.isAddress(address)) throw new Error(`Invalid address "${address}" in ${source}`);
+  return address.toLowerCase();
+}
+
+// Address list files hold one address per line, or a CSV with the address first on each line and an optional header.
+// Blank lines and # comments are skipped. Returns the addresses lowercased
+function loadAddressList(filePath) {
+  const addresses = new Set();
+  const invalid = [];
+  let seenFirstLine = false;
+
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    const value = line.split('#')[0].split(',')[0].trim().replace(/^"(.*)"$/, '$1');
+    if (!value) return;
+
+    const isHeader = !seenFirstLine && !value.startsWith('0x');
+    seenFirstLine = true;
+
+    if (ethers.isAddress(value)) addresses.add(value.toLowerCase());
+    else if (!isHeader) invalid.push(`line ${index + 1} ("${value}")`);
+  });
+
+  if (invalid.length) {
+    const more = invalid.length > 10 ? ` and ${invalid.length - 10} more` : '';
+    throw new Error(`Invalid addresses in ${filePath}: ${invalid.slice(0, 10).join(', ')}${more}`);
+  }
+
+  return addresses;
+}
+
+function parsePresets(value, source) {
+  const names = [].concat(value).join(',').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 1 && names[0] === 'none') return [];
+
+  for (const name of names) {
+    if (!presets[name]) throw new Error(`Unknown preset "${name}" in ${source}, expected one of: ${presetNames.join(', ')} or none`);
+  }
+
+  return names;
+}
+
+// Combines a JSON config file ({ include, exclude, presets, keepContracts }) with command line flags.
+// Addresses from both are merged, presets and keepContracts from the flags win over the file.
+function loadAddressFilter(network, { configPath, include = [], exclude = [], presets: presetFlag, keepContracts } = {}) {
+  const config = configPath ? fs.readJsonSync(configPath) : {};
+  const configSource = configPath || 'config';
+
+  const includeSet = new Set([
+    ...(config.include || []).map(address => normalizeAddress(address, configSource)),
+    ...include.map(address => normalizeAddress(address, '--include'))
+  ]);
+  const excludeSet = new Set([
+    ...(config.exclude || []).map(address => normalizeAddress(address, configSource)),
+    ...exclude.map(address => normalizeAddress(address, '--exclude'))
+  ]);
+
+  let activePresets = presetNames;
+  if (config.presets !== undefined) activePresets = parsePresets(config.presets, configSource);
+  if (presetFlag !== undefined) activePresets = parsePresets(presetFlag, '--presets');
+
+  const presetExcludes = new Map();
+  if (activePresets.includes('burn')) burnAddresses.forEach(address => presetExcludes.set(address.toLowerCase(), 'burn'));
+  if (activePresets.includes('gaslite') && network.gasliteDrop) presetExcludes.set(network.gasliteDrop.toLowerCase(), 'gaslite');
+
+  return {
+    include: includeSet,
+    exclude: excludeSet,
+    presetExcludes,
+    presets: activePresets,
+    keepContracts: keepContracts ?? config.keepContracts ?? false
+  };
+}
+
+async function probe(provider, address, method, blockTag) {
+  try {
+    const result = await provider.call({ to: address, data: probeInterface.encodeFunctionData(method), blockTag });
+    probeInterface.decodeFunctionResult(method, result);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function classifyContract(provider, address, filter, blockTag) {
+  const has = method => probe(provider, address, method, blockTag);
+
+  if (filter.presets.includes('dex')) {
+    const [token0, token1, factory, weth, weth9] = await Promise.all(['token0', 'token1', 'factory', 'WETH', 'WETH9'].map(has));
+    if (token0 && token1) return { keep: false, reason: 'dex pair' };
+    if (factory && (weth || weth9)) return { keep: false, reason: 'dex router' };
+  }
+
+  if (filter.presets.includes('safe')) {
+    const [threshold, owners] = await Promise.all(['getThreshold', 'getOwners'].map(has));
+    if (threshold && owners) return { keep: true, reason: 'safe' };
+  }
+
+  return filter.keepContracts ? { keep: true, reason: 'contract' } : { keep: false, reason: 'contract' };
+}
+
+// Decides which holders stay in a snapshot. Explicit excludes win over explicit includes, which win over presets.
+// Without code lookups (offline) only the address lists apply and every other holder is kept.
+// Returns the kept addresses and a count of dropped / specially kept holders per reason.
+async function filterHolders(provider, addresses, filter, { blockTag, concurrency = 8, checkCode = true, onProgress } = {}) {
+  const kept = new Set();
+  const dropped = {};
+  const retained = {};
+  const undecided = [];
+
+  const drop = (reason) => { dropped[reason] = (dropped[reason] || 0) + 1; };
+  const keep = (address, reason) => {
+    kept.add(address);
+    if (reason) retained[reason] = (retained[reason] || 0) + 1;
+  };
+
+  for (const address of addresses) {
+    const lower = address.toLowerCase();
+
+    if (filter.exclude.has(lower)) {
+      drop('excluded');
+    } else if (filter.include.has(lower)) {
+      keep(address, 'included');
+    } else if (filter.presetExcludes.has(lower)) {
+      drop(filter.presetExcludes.get(lower));
+    } else if (!checkCode) {
+      keep(address);
+    } else {
+      undecided.push(address);
+      continue;
+    }
+
+    if (onProgress) onProgress(1);
+  }
+
+  await mapWithConcurrency(undecided, concurrency, async (address) => {
+    const code = await provider.getCode(address, blockTag);
+
+    // EIP-7702 delegated EOAs carry a 0xef0100 designator as code but are still user wallets
+    if (code === '0x' || code.startsWith('0xef0100')) {
+      keep(address);
+    } else {
+      const { keep: keepContract, reason } = await classifyContract(provider, address, filter, blockTag);
+      if (keepContract) keep(address, reason);
+      else drop(reason);
+    }
+
+    if (onProgress) onProgress(1);
+  });
+
+  return { kept, dropped, retained };
+}
+
+export { burnAddresses, presets, presetNames, loadAddressList, loadAddressFilter, filterHolders };
@@ -0,0 +1,28 @@
+// Last block with a timestamp at or before isoTime, found by bisecting block timestamps
+async function getBlockAtTime(provider, isoTime) {
+  const timestamp = Math.floor(new Date(isoTime).getTime() / 1000);
+  if (Number.isNaN(timestamp)) throw new Error(`Invalid time "${isoTime}", expected an ISO 8601 date like 2024-06-01T00:00:00Z`);
+
+  const latestBlock = await provider.getBlock('latest');
+  if (timestamp > latestBlock.timestamp) throw new Error(`${isoTime} is after the latest block, can't snapshot the future`);
+
+  const genesisBlock = await provider.getBlock(0);
+  if (timestamp < genesisBlock.timestamp) throw new Error(`${isoTime} is before the first block`);
+
+  let low = 0;
+  let high = latestBlock.number;
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const block = await provider.getBlock(mid);
+    if (block.timestamp <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return low;
+}
+
+export { getBlockAtTime };
@@ -0,0 +1,96 @@
+import { ethers } from 'ethers';
+import fs from 'fs-extra';
+
+// A custody resolver tells the snapshot who really owns what a staking vault or escrow holds. Either
+//   { vault, deposit, withdraw, owner, tokenId?, amount?, token?, fromBlock? }
+// with deposit/withdraw event signatures and the names of their depositor, token id, amount and (for vaults holding
+// several tokens) token address arguments, or, for ERC721 vaults,
+//   { vault, view }
+// with a view like "function stakedBy(uint256 tokenId) view returns (address)" returning a staked token's owner.
+function loadCustodyResolvers(filePath) {
+  const config = fs.readJsonSync(filePath);
+  const resolvers = Array.isArray(config) ? config : config.resolvers;
+
+  if (!Array.isArray(resolvers)) throw new Error(`${filePath} should hold an array of custody resolvers`);
+
+  return resolvers.map((resolver, index) => {
+    const label = `custody resolver ${index + 1} in ${filePath}`;
+    if (!resolver.vault || !ethers.isAddress(resolver.vault)) throw new Error(`Missing or invalid vault address in ${label}`);
+
+    const vault = ethers.getAddress(resolver.vault);
+
+    if (resolver.view) {
+      const fragment = ethers.FunctionFragment.from(resolver.view);
+      if (fragment.inputs.length !== 1 || fragment.outputs.length !== 1 || fragment.outputs[0].type !== 'address') {
+        throw new Error(`The view in ${label} should take a token id and return the owner's address`);
+      }
+      return { vault, view: fragment };
+    }
+
+    if (!resolver.deposit || !resolver.withdraw || !resolver.owner) {
+      throw new Error(`${label} needs either a view or deposit and withdraw events with the owner argument name`);
+    }
+
+    const deposit = ethers.EventFragment.from(resolver.deposit);
+    const withdraw = ethers.EventFragment.from(resolver.withdraw);
+    if (deposit.name === withdraw.name) throw new Error(`Deposit and withdraw events need different names in ${label}`);
+
+    for (const fragment of [deposit, withdraw]) {
+      const names = fragment.inputs.map(input => input.name);
+      for (const key of ['owner', 'tokenId', 'amount', 'token']) {
+        if (resolver[key] && !names.includes(resolver[key])) throw new Error(`${fragment.format()} has no "${resolver[key]}" argument, see ${label}`);
+      }
+    }
+
+    return {
+      vault,
+      deposit,
+      withdraw,
+      owner: resolver.owner,
+      tokenId: resolver.tokenId,
+      amount: resolver.amount,
+      token: resolver.token,
+      fromBlock: resolver.fromBlock,
+      events: [deposit.format('full'), withdraw.format('full')]
+    };
+  });
+}
+
+// Replays a vault's stored deposit and withdraw events into who has what staked:
+// ERC20 owner => amount, ERC721 token id => owner, ERC1155 owner => { id: amount }
+async function getCustodyPositions(events, resolver, contractType, contractAddress, idFilter) {
+  const balances = {};
+  const tokenOwners = {};
+  const idBalances = {};
+
+  for await (const event of events) {
+    const sign = event.event === resolver.deposit.name ? 1n : event.event === resolver.withdraw.name ? -1n : 0n;
+    if (sign === 0n) continue;
+    if (resolver.token && event[resolver.token].toLowerCase() !== contractAddress.toLowerCase()) continue;
+
+    const owner = ethers.getAddress(event[resolver.owner]);
+    const tokenIds = resolver.tokenId ? [].concat(event[resolver.tokenId]) : [];
+    const amounts = resolver.amount ? [].concat(event[resolver.amount]).map(BigInt) : [];
+
+    if (contractType === 'ERC20') {
+      const amount = amounts.reduce((total, value) => total + value, 0n);
+      balances[owner] = (balances[owner] || 0n) + sign * amount;
+    } else if (contractType === 'ERC721') {
+      for (const tokenId of tokenIds) {
+        if (idFilter && !idFilter.matches(tokenId)) continue;
+        if (sign > 0n) tokenOwners[tokenId] = owner;
+        else delete tokenOwners[tokenId];
+      }
+    } else {
+      tokenIds.forEach((id, index) => {
+        if (idFilter && !idFilter.matches(id)) return;
+        if (!idBalances[owner]) idBalances[owner] = {};
+        idBalances[owner][id] = (idBalances[owner][id] || 0n) + sign * (amounts[index] ?? 1n);
+      });
+    }
+  }
+
+  return { balances, tokenOwners, idBalances };
+}
+
+export { loadCustodyResolvers, getCustodyPositions };
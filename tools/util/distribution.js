@@ -0,0 +1,110 @@
+// Distribution metrics over snapshot balances (BigInts in base units), all computed exactly
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+// Percentage of total rounded to two decimals, e.g. 1234n of 10000n is 12.34
+function shareOf(part, total) {
+  if (total === 0n) return 0;
+  return Number((part * 20000n / total + 1n) / 2n) / 100;
+}
+
+// 0 when everyone holds the same, approaching 1 when one holder has everything
+function giniCoefficient(balances) {
+  const sorted = [...balances].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const n = BigInt(sorted.length);
+  const total = sum(sorted);
+  if (n === 0n || total === 0n) return 0;
+
+  const ranked = sorted.reduce((acc, value, index) => acc + BigInt(index + 1) * value, 0n);
+  return Number((2n * ranked - (n + 1n) * total) * 10000n / (n * total)) / 10000;
+}
+
+// Fewest holders that together hold more than half of the total
+function nakamotoCoefficient(balances) {
+  const sorted = [...balances].sort((a, b) => (b < a ? -1 : b > a ? 1 : 0));
+  const total = sum(sorted);
+  let held = 0n;
+
+  for (const [index, value] of sorted.entries()) {
+    held += value;
+    if (held * 2n > total) return index + 1;
+  }
+
+  return sorted.length;
+}
+
+// Share of the total held by the largest N holders, for each N
+function topConcentration(balances, tops) {
+  const sorted = [...balances].sort((a, b) => (b < a ? -1 : b > a ? 1 : 0));
+  const total = sum(sorted);
+
+  return tops.map(top => {
+    const held = sum(sorted.slice(0, top));
+    return { top, holders: Math.min(top, sorted.length), held, share: shareOf(held, total) };
+  });
+}
+
+const compactNumber = (exponent) => {
+  if (exponent < 0) return `0.${'0'.repeat(-exponent - 1)}1`;
+  const suffixes = [[12, 'T'], [9, 'B'], [6, 'M'], [3, 'K']];
+  const [power, suffix] = suffixes.find(([power]) => exponent >= power) || [0, ''];
+  return `${10n ** BigInt(exponent - power)}${suffix}`;
+};
+
+// Holders grouped into balance brackets: powers of ten of whole tokens for ERC20 (anything under 0.01 shares one bracket),
+// 1, 2-4, 5-9, 10-19, 20-49... for token counts. Brackets come out from the smallest to the largest, empty ones in
+// between included so histograms keep their scale
+function balanceHistogram(balances, decimals) {
+  const values = [...balances].filter(value => value > 0n);
+  const total = sum(values);
+  const buckets = new Map();
+
+  let bucketOf;
+  if (decimals > 0) {
+    bucketOf = (value) => Math.max(value.toString().length - 1 - decimals, -3);
+  } else {
+    // Index of the largest 1-2-5 series step at or below the count
+    bucketOf = (value) => {
+      let index = 0;
+      while (seriesStep(index + 1) <= value) index++;
+      return index;
+    };
+  }
+
+  for (const value of values) {
+    const bucket = bucketOf(value);
+    const entry = buckets.get(bucket) || { holders: 0, held: 0n };
+    entry.holders++;
+    entry.held += value;
+    buckets.set(bucket, entry);
+  }
+
+  if (!buckets.size) return [];
+
+  const keys = [...buckets.keys()];
+  const rows = [];
+
+  for (let bucket = Math.min(...keys); bucket <= Math.max(...keys); bucket++) {
+    const { holders, held } = buckets.get(bucket) || { holders: 0, held: 0n };
+    let label;
+
+    if (decimals > 0) {
+      label = bucket === -3 ? '< 0.01' : `${compactNumber(bucket)} - ${compactNumber(bucket + 1)}`;
+    } else {
+      const low = seriesStep(bucket);
+      const high = seriesStep(bucket + 1) - 1n;
+      label = low === high ? `${low}` : `${low} - ${high}`;
+    }
+
+    rows.push({ label, holders, holderShare: shareOf(BigInt(holders), BigInt(values.length)), held, share: shareOf(held, total) });
+  }
+
+  return rows;
+}
+
+// 1, 2, 5, 10, 20, 50, 100...
+function seriesStep(index) {
+  return [1n, 2n, 5n][index % 3] * 10n ** BigInt(Math.floor(index / 3));
+}
+
+export { shareOf, giniCoefficient, nakamotoCoefficient, topConcentration, balanceHistogram };
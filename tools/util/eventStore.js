@@ -0,0 +1,207 @@
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+
+// Append-only store of decoded Transfer / TransferSingle / TransferBatch logs, one NDJSON file per chain + contract.
+// A sidecar meta file records which block range the event file fully covers.
+const storeDir = path.join(process.cwd(), 'events');
+
+function getStorePaths(chainId, contractAddress) {
+  const name = `${chainId}-${contractAddress.toLowerCase()}`;
+  return {
+    eventsPath: path.join(storeDir, `${name}.ndjson`),
+    metaPath: path.join(storeDir, `${name}.meta.json`)
+  };
+}
+
+function loadStoreMeta(chainId, contractAddress) {
+  const { metaPath } = getStorePaths(chainId, contractAddress);
+  if (!fs.existsSync(metaPath)) return null;
+  return fs.readJsonSync(metaPath);
+}
+
+function saveStoreMeta(chainId, contractAddress, meta) {
+  const { metaPath } = getStorePaths(chainId, contractAddress);
+  fs.ensureDirSync(storeDir);
+  // Write then rename so a crash never leaves a half written meta file
+  fs.writeJsonSync(`${metaPath}.tmp`, meta, { spaces: 2 });
+  fs.renameSync(`${metaPath}.tmp`, metaPath);
+}
+
+// Events must be appended before the meta's toBlock is moved past them. Anything a crash leaves appended past it is
+// trimmed off before the next sync appends again, see trimStore
+function appendEvents(chainId, contractAddress, events) {
+  if (!events.length) return;
+  const { eventsPath } = getStorePaths(chainId, contractAddress);
+  fs.ensureDirSync(storeDir);
+  fs.appendFileSync(eventsPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+}
+
+// How many checkpoint block hashes are kept to find a common ancestor after a reorg
+const maxAnchors = 128;
+
+// Buffers fetched events and periodically commits them to the store together with the block they cover up to
+// and that block's hash, so an interrupted scan resumes from the last checkpoint instead of the deployment block.
+// Saves are chained so they always land in order, even while a periodic save is still looking up its hash.
+// Before anything is saved the event file is trimmed back to meta.toBlock, and every save checks the store is still
+// where this checkpointer left it, so a run syncing the same store at the same time fails instead of storing events twice.
+function createCheckpointer(chainId, contractAddress, meta, intervalMs, getBlockHash) {
+  let buffered = [];
+  let toBlock = meta.toBlock;
+  let anchors = meta.anchors || [];
+  let savedAt = Date.now();
+  let savedBlock = meta.toBlock;
+  let saving = trimStore(chainId, contractAddress, meta.toBlock).then(() => meta.toBlock);
+
+  const save = () => {
+    const events = buffered;
+    const block = toBlock;
+    buffered = [];
+    savedAt = Date.now();
+
+    saving = saving.then(async () => {
+      const hash = block >= meta.fromBlock ? await getBlockHash(block) : null;
+
+      const stored = loadStoreMeta(chainId, contractAddress);
+      if ((stored ? stored.toBlock : meta.toBlock) !== savedBlock) {
+        throw new Error(`Events of ${contractAddress} were stored by another run in the meantime, run again to continue from there`);
+      }
+
+      appendEvents(chainId, contractAddress, events);
+      if (hash) anchors = [...anchors.filter(anchor => anchor.number < block), { number: block, hash }].slice(-maxAnchors);
+      saveStoreMeta(chainId, contractAddress, { ...meta, toBlock: block, toBlockHash: hash, anchors, deduplicated: true });
+      savedBlock = block;
+      return block;
+    });
+
+    return saving;
+  };
+
+  const add = (events, lastBlock) => {
+    buffered.push(...events);
+    toBlock = lastBlock;
+    // A failed save fails every save chained after it, the error surfaces where the caller awaits the next one
+    if (Date.now() - savedAt >= intervalMs) save().catch(() => {});
+  };
+
+  return { add, save };
+}
+
+// Rewrites the event file with only the events up to toBlock, each once and without torn lines
+async function rewriteEvents(chainId, contractAddress, toBlock) {
+  const { eventsPath } = getStorePaths(chainId, contractAddress);
+  const tmpPath = `${eventsPath}.tmp`;
+  const output = fs.createWriteStream(tmpPath);
+
+  for await (const event of readEvents(chainId, contractAddress, toBlock)) {
+    if (!output.write(JSON.stringify(event) + '\n')) await new Promise(resolve => output.once('drain', resolve));
+  }
+
+  await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  fs.renameSync(tmpPath, eventsPath);
+}
+
+// Events are appended in block order, so the last line tells whether anything past toBlock (or a torn write) is stored
+function hasEventsPast(eventsPath, toBlock) {
+  const { size } = fs.statSync(eventsPath);
+  if (!size) return false;
+
+  const length = Math.min(size, 65536);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(eventsPath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const tail = buffer.toString('utf8');
+  if (!tail.endsWith('\n')) return true;
+
+  try {
+    return JSON.parse(tail.slice(0, -1).split('\n').pop()).blockNumber > toBlock;
+  } catch (error) {
+    return true;
+  }
+}
+
+// A crash between appending events and saving the meta leaves events past its toBlock, which would be stored twice once
+// they're fetched again, or would win over the canonical ones after a reorg. Stores from before the meta's deduplicated
+// flag may hold such duplicates anywhere and are rewritten once
+async function trimStore(chainId, contractAddress, toBlock) {
+  const { eventsPath } = getStorePaths(chainId, contractAddress);
+  if (!fs.existsSync(eventsPath)) return;
+
+  const meta = loadStoreMeta(chainId, contractAddress);
+  if (meta && meta.deduplicated && !hasEventsPast(eventsPath, toBlock)) return;
+
+  await rewriteEvents(chainId, contractAddress, toBlock);
+}
+
+// Drops every stored event after toBlock, used to roll back to a common ancestor after a reorg
+async function rollbackStore(chainId, contractAddress, toBlock) {
+  const meta = loadStoreMeta(chainId, contractAddress);
+  await rewriteEvents(chainId, contractAddress, toBlock);
+
+  const anchors = (meta.anchors || []).filter(anchor => anchor.number <= toBlock);
+  const anchor = anchors.find(({ number }) => number === toBlock);
+  saveStoreMeta(chainId, contractAddress, { ...meta, toBlock, toBlockHash: anchor ? anchor.hash : null, anchors, deduplicated: true });
+}
+
+function clearStore(chainId, contractAddress) {
+  const { eventsPath, metaPath } = getStorePaths(chainId, contractAddress);
+  fs.removeSync(eventsPath);
+  fs.removeSync(metaPath);
+}
+
+async function* readEvents(chainId, contractAddress, toBlock = Infinity) {
+  const { eventsPath } = getStorePaths(chainId, contractAddress);
+  if (!fs.existsSync(eventsPath)) return;
+
+  // Trimmed stores hold every event once. Only stores written before that have to be deduplicated while reading, which
+  // keeps a key per event in memory
+  const meta = loadStoreMeta(chainId, contractAddress);
+  const seen = meta && meta.deduplicated ? null : new Set();
+  const lines = readline.createInterface({ input: fs.createReadStream(eventsPath), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (!line) continue;
+
+    // A write torn by a hard kill leaves a partial line, its events were never checkpointed and get refetched
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+
+    if (event.blockNumber > toBlock) continue;
+
+    if (seen) {
+      const key = `${event.blockNumber}-${event.logIndex}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+    }
+
+    yield event;
+  }
+}
+
+// Flattens an ethers Log and its parsed LogDescription into the plain record kept in the store
+function toStoreRecord(log, description) {
+  const record = {
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    event: description.name
+  };
+
+  description.fragment.inputs.forEach((input, index) => {
+    const value = description.args[index];
+    record[input.name] = Array.isArray(value) ? value.map(item => item.toString()) : value.toString();
+  });
+
+  return record;
+}
+
+export { storeDir, getStorePaths, loadStoreMeta, saveStoreMeta, appendEvents, createCheckpointer, rollbackStore, clearStore, readEvents, toStoreRecord };
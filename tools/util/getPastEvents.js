@@ -0,0 +1,148 @@
+import chalk from 'chalk';
+
+const defaultOptions = {
+  initialWindow: 1000,
+  minWindow: 1,
+  maxWindow: 100000,
+  // Window grows while ranges return fewer logs than this and shrinks when they return more
+  targetLogs: 2000,
+  concurrency: 4,
+  maxRetries: 6,
+  retryDelay: 500,
+  maxRetryDelay: 30000,
+  timeout: 30000,
+  debug: false,
+  // Called with (fromBlock, toBlock, logs) whenever a range completes, in any order
+  onRange: null,
+  // Called with (toBlock, logs) as soon as every block up to toBlock has been fetched, always in block order. When set,
+  // the logs are only handed over here and getPastEvents returns an empty array
+  onProgress: null
+};
+
+class TimeoutError extends Error {}
+
+// Providers word these differently, they all mean the range returned (or would return) too much
+const rangeErrorPatterns = [
+  /too many/i,
+  /more than \d+ (results|logs)/i,
+  /limit exceeded/i,
+  /range (is )?too (large|wide|big)/i,
+  /block range/i,
+  /response size/i,
+  /query timeout/i,
+  /-32005/
+];
+
+function isRangeError(error) {
+  if (error instanceof TimeoutError) return true;
+  const message = [error.message, error.shortMessage, error.error && error.error.message, error.info && JSON.stringify(error.info)].join(' ');
+  return (error.error && error.error.code === -32005) || rangeErrorPatterns.some(pattern => pattern.test(message));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(`Request timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function getPastEvents(provider, filter, fromBlock, toBlock, options = {}) {
+  const settings = { ...defaultOptions, ...options };
+  const { minWindow, maxWindow, targetLogs, debug } = settings;
+
+  let window = Math.max(minWindow, Math.min(settings.initialWindow, maxWindow));
+  let cursor = fromBlock;
+  let failure = null;
+
+  // Ranges in block order, split ranges are replaced in place so the order always holds
+  const pending = [];
+  const retryQueue = [];
+  const results = [];
+
+  const takeRange = () => {
+    if (retryQueue.length) return retryQueue.shift();
+    if (cursor > toBlock) return null;
+
+    const range = { fromBlock: cursor, toBlock: Math.min(cursor + window - 1, toBlock), attempt: 0, logs: null };
+    cursor = range.toBlock + 1;
+    pending.push(range);
+    return range;
+  };
+
+  const flush = () => {
+    let flushedTo = null;
+    const flushedLogs = [];
+
+    while (pending.length && pending[0].logs) {
+      const range = pending.shift();
+      flushedLogs.push(...range.logs);
+      if (!settings.onProgress) results.push(...range.logs);
+      flushedTo = range.toBlock;
+    }
+
+    if (flushedTo !== null && settings.onProgress) settings.onProgress(flushedTo, flushedLogs);
+  };
+
+  const split = (range) => {
+    const middle = Math.floor((range.fromBlock + range.toBlock) / 2);
+    const halves = [
+      { fromBlock: range.fromBlock, toBlock: middle, attempt: 0, logs: null },
+      { fromBlock: middle + 1, toBlock: range.toBlock, attempt: 0, logs: null }
+    ];
+    pending.splice(pending.indexOf(range), 1, ...halves);
+    retryQueue.unshift(...halves);
+    window = Math.max(minWindow, Math.floor((range.toBlock - range.fromBlock + 1) / 2));
+  };
+
+  const worker = async () => {
+    let range;
+
+    while (!failure && (range = takeRange())) {
+      try {
+        if (debug) console.log(chalk.cyan(`Fetching events from block ${range.fromBlock} to ${range.toBlock}`));
+
+        const logs = await withTimeout(provider.getLogs({ ...filter, fromBlock: range.fromBlock, toBlock: range.toBlock }), settings.timeout);
+
+        range.logs = logs;
+        if (logs.length < targetLogs / 2) window = Math.min(maxWindow, window * 2);
+        if (logs.length > targetLogs) window = Math.max(minWindow, Math.floor(window / 2));
+
+        if (settings.onRange) settings.onRange(range.fromBlock, range.toBlock, logs);
+        flush();
+      } catch (error) {
+        if (isRangeError(error) && range.toBlock > range.fromBlock) {
+          if (debug) console.log(chalk.yellow(`Splitting blocks ${range.fromBlock}-${range.toBlock}: ${error.shortMessage || error.message}`));
+          split(range);
+          continue;
+        }
+
+        range.attempt++;
+
+        if (range.attempt > settings.maxRetries) {
+          failure = new Error(`Failed to fetch events for blocks ${range.fromBlock}-${range.toBlock} after ${settings.maxRetries} retries: ${error.shortMessage || error.message}`);
+          failure.cause = error;
+          return;
+        }
+
+        const delay = Math.min(settings.maxRetryDelay, settings.retryDelay * 2 ** (range.attempt - 1));
+        if (debug) console.log(chalk.yellow(`Retrying blocks ${range.fromBlock}-${range.toBlock} in ${delay}ms (attempt ${range.attempt}): ${error.shortMessage || error.message}`));
+
+        await sleep(delay);
+        retryQueue.unshift(range);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, settings.concurrency) }, worker));
+
+  if (failure) throw failure;
+
+  return results;
+}
+
+export { getPastEvents, isRangeError, TimeoutError };
@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { ethers } from 'ethers';
+import { getPastEvents } from './getPastEvents.js';
+
+const contract = '0x5b1869D9A4C187F2EAa108f3062412ecf0526b24';
+const topic = ethers.id('Transfer(address,address,uint256)');
+
+// A JSON-RPC node with one log per block that rejects ranges wider than maxRange and fails some ranges a few times
+const stub = {
+  maxRange: 50,
+  failures: new Map(),
+  requests: []
+};
+
+const toHex = (value) => ethers.toQuantity(value);
+
+function logAt(block) {
+  return {
+    address: contract,
+    topics: [topic],
+    data: '0x',
+    blockNumber: toHex(block),
+    blockHash: ethers.toBeHex(block + 1, 32),
+    transactionHash: ethers.toBeHex(block + 1, 32),
+    transactionIndex: '0x0',
+    logIndex: '0x0',
+    removed: false
+  };
+}
+
+async function respond({ id, method, params }) {
+  if (method === 'eth_chainId') return { id, result: '0x7cc' };
+  if (method !== 'eth_getLogs') return { id, error: { code: -32601, message: `${method} not supported` } };
+
+  const fromBlock = Number(params[0].fromBlock);
+  const toBlock = Number(params[0].toBlock);
+  const key = `${fromBlock}-${toBlock}`;
+  stub.requests.push(key);
+
+  // Ranges finish out of order
+  await new Promise(resolve => setTimeout(resolve, (fromBlock * 7) % 11));
+
+  if (toBlock - fromBlock + 1 > stub.maxRange) {
+    return { id, error: { code: -32005, message: `query returned more than 10000 results` } };
+  }
+  const failuresLeft = stub.failures.get(key) || 0;
+  if (failuresLeft > 0) {
+    stub.failures.set(key, failuresLeft - 1);
+    return { id, error: { code: -32000, message: 'internal error' } };
+  }
+
+  const logs = [];
+  for (let block = fromBlock; block <= toBlock; block++) logs.push(logAt(block));
+  return { id, result: logs };
+}
+
+let server;
+let provider;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? await Promise.all(payload.map(respond)) : await respond(payload);
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(Array.isArray(response) ? response.map(item => ({ jsonrpc: '2.0', ...item })) : { jsonrpc: '2.0', ...response }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const network = ethers.Network.from(1996);
+  provider = new ethers.JsonRpcProvider(`http://127.0.0.1:${server.address().port}`, network, { staticNetwork: network, batchMaxCount: 1, cacheTimeout: -1 });
+});
+
+after(async () => {
+  provider.destroy();
+  await new Promise(resolve => server.close(resolve));
+});
+
+const options = { initialWindow: 200, maxWindow: 200, concurrency: 4, retryDelay: 1 };
+const blocksOf = (logs) => logs.map(log => log.blockNumber);
+const blocks = (fromBlock, toBlock) => Array.from({ length: toBlock - fromBlock + 1 }, (_, index) => fromBlock + index);
+
+test('splits ranges the node rejects as too large and returns every log in block order', async () => {
+  stub.requests = [];
+
+  const logs = await getPastEvents(provider, { address: contract, topics: [topic] }, 0, 299, options);
+
+  assert.deepEqual(blocksOf(logs), blocks(0, 299));
+  assert.ok(stub.requests.includes('0-199'), 'starts with the initial window');
+  assert.ok(stub.requests.includes('0-99') && stub.requests.includes('100-199'), 'splits the rejected range in halves');
+});
+
+test('retries ranges that fail for other reasons', async () => {
+  stub.requests = [];
+  stub.failures = new Map([['1000-1049', 2]]);
+
+  const logs = await getPastEvents(provider, { address: contract, topics: [topic] }, 1000, 1049, options);
+
+  assert.deepEqual(blocksOf(logs), blocks(1000, 1049));
+  assert.equal(stub.requests.filter(key => key === '1000-1049').length, 3);
+});
+
+test('gives up on a range after maxRetries', async () => {
+  stub.failures = new Map([['2000-2049', 10]]);
+
+  await assert.rejects(
+    getPastEvents(provider, { address: contract, topics: [topic] }, 2000, 2049, { ...options, maxRetries: 2 }),
+    /Failed to fetch events for blocks 2000-2049 after 2 retries/
+  );
+});
+
+test('hands logs to onProgress in block order, whatever order ranges complete in', async () => {
+  stub.failures = new Map([['3000-3049', 1]]);
+  const progress = [];
+  const completed = [];
+
+  const logs = await getPastEvents(provider, { address: contract, topics: [topic] }, 3000, 3299, {
+    ...options,
+    onRange: (fromBlock) => completed.push(fromBlock),
+    onProgress: (toBlock, rangeLogs) => progress.push({ toBlock, logs: rangeLogs })
+  });
+
+  assert.deepEqual(logs, []);
+  assert.deepEqual(blocksOf(progress.flatMap(({ logs }) => logs)), blocks(3000, 3299));
+  assert.equal(progress.at(-1).toBlock, 3299);
+  for (const [index, { toBlock, logs }] of progress.entries()) {
+    assert.equal(logs.at(-1).blockNumber, toBlock);
+    if (index > 0) assert.ok(toBlock > progress[index - 1].toBlock);
+  }
+  assert.notDeepEqual(completed, [...completed].sort((a, b) => a - b), 'ranges completed out of order');
+});
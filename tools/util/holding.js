@@ -0,0 +1,80 @@
+import { ethers } from 'ethers';
+
+// Balance changes a stored transfer event makes as [address, delta] pairs, in the units snapshot balances use:
+// base units for ERC20, token counts for ERC721 and the summed amount of matching ids for ERC1155
+function transferDeltas(event, contractType, idFilter) {
+  const included = (id) => !idFilter || idFilter.matches(id);
+  let amount;
+
+  if (contractType === 'ERC20') {
+    amount = BigInt(event.value);
+  } else if (contractType === 'ERC721') {
+    amount = included(event.tokenId) ? 1n : 0n;
+  } else if (event.event === 'TransferSingle') {
+    amount = included(event.id) ? BigInt(event.value) : 0n;
+  } else {
+    amount = event.ids.reduce((total, id, index) => (included(id) ? total + BigInt(event.values[index]) : total), 0n);
+  }
+
+  if (amount === 0n || event.from === event.to) return [];
+
+  const deltas = [];
+  if (event.from !== ethers.ZeroAddress) deltas.push([event.from, -amount]);
+  if (event.to !== ethers.ZeroAddress) deltas.push([event.to, amount]);
+  return deltas;
+}
+
+// Walks the transfer history up to toBlock and tracks, per holder, the balance over the window fromBlock..toBlock.
+// Balances count from the end of the block they changed in. clock(block) maps window blocks to the unit averages are
+// weighted by (block numbers or timestamps) and is only called for fromBlock, toBlock and event blocks in between.
+// Returns per holder: the final balance, the clock weighted sum of balances (weighted), the lowest balance held at any
+// point of the window (minimum) and the block the holder's current uninterrupted non-zero balance started (heldSince).
+async function computeHoldings(events, { contractType, idFilter, fromBlock, toBlock, clock }) {
+  const holdings = new Map();
+
+  // A balance that held from the end of block start until the end of block end - 1
+  const closeSegment = (holding, end) => {
+    const start = holding.since;
+    const value = holding.balance;
+
+    if (start <= toBlock && end > fromBlock) {
+      const from = Math.max(start, fromBlock);
+      const to = Math.min(end, toBlock);
+      if (to > from) holding.weighted += value * BigInt(clock(to) - clock(from));
+      if (holding.minimum === null || value < holding.minimum) holding.minimum = value;
+    }
+
+    if (value === 0n) holding.heldSince = null;
+    else if (holding.heldSince === null) holding.heldSince = start;
+
+    holding.since = end;
+  };
+
+  for await (const event of events) {
+    for (const [address, delta] of transferDeltas(event, contractType, idFilter)) {
+      let holding = holdings.get(address);
+
+      if (!holding) {
+        holding = { balance: 0n, since: -Infinity, weighted: 0n, minimum: null, heldSince: null };
+        holdings.set(address, holding);
+      }
+
+      // Several changes within one block only count with the balance they leave at the end of it
+      if (event.blockNumber > holding.since) closeSegment(holding, event.blockNumber);
+      holding.balance += delta;
+    }
+  }
+
+  for (const holding of holdings.values()) closeSegment(holding, toBlock + 1);
+
+  return holdings;
+}
+
+// Time weighted average over the window, rounded to the nearest unit. A window without duration is just the balance.
+function averageBalance(holding, duration) {
+  if (duration <= 0) return holding.balance;
+  const total = BigInt(duration);
+  return (holding.weighted * 2n + total) / (total * 2n);
+}
+
+export { transferDeltas, computeHoldings, averageBalance };
@@ -0,0 +1,26 @@
+import { ethers } from 'ethers';
+
+const multicall3Abi = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+// Runs view calls through Multicall3 in batches, a failing call doesn't fail its batch
+async function aggregate(provider, multicallAddress, calls, { blockTag, batchSize = 500, onBatch } = {}) {
+  const multicall = new ethers.Contract(multicallAddress, multicall3Abi, provider);
+  const results = [];
+
+  for (let i = 0; i < calls.length; i += batchSize) {
+    const batch = calls.slice(i, i + batchSize);
+    const batchResults = await multicall.aggregate3.staticCall(
+      batch.map(({ target, callData }) => ({ target, allowFailure: true, callData })),
+      { blockTag }
+    );
+
+    results.push(...batchResults.map(([success, returnData]) => ({ success, returnData })));
+    if (onBatch) onBatch(batch.length);
+  }
+
+  return results;
+}
+
+export { aggregate };
@@ -1,6 +1,152 @@
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+
+// Every tool picks up network overrides from .env, not only the ones that need PRIVATE_KEY
+dotenv.config();
+
 const sankoMainnet = {
   name: 'Sanko',
   chainId: 1996
+};
+
+// Multicall3 lives at the same address on nearly every chain
+const multicall3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const networks = {
+  mainnet: {
+    ...sankoMainnet,
+    rpcUrls: ['https://mainnet.sanko.xyz'],
+    gasliteDrop: '0x3ef149697ebde1e329184c7c4b56179538631a41',
+    explorerUrl: 'https://explorer.sanko.xyz',
+    multicall3
+  },
+  testnet: {
+    name: 'Sanko Testnet',
+    chainId: 1992,
+    rpcUrls: ['https://sanko-arb-sepolia.rpc.caldera.xyz/http'],
+    gasliteDrop: null,
+    explorerUrl: 'https://sanko-arb-sepolia.explorer.caldera.xyz',
+    multicall3
+  },
+  // Local node, e.g. `anvil --fork-url https://mainnet.sanko.xyz`. Forks keep the mainnet chain id and contracts.
+  local: {
+    name: 'Sanko Local',
+    chainId: 1996,
+    rpcUrls: ['http://127.0.0.1:8545'],
+    gasliteDrop: '0x3ef149697ebde1e329184c7c4b56179538631a41',
+    explorerUrl: null,
+    multicall3
+  },
+  // Everything comes from the environment, see .env.example
+  custom: {
+    name: 'Custom',
+    chainId: null,
+    rpcUrls: [],
+    gasliteDrop: null,
+    explorerUrl: null,
+    multicall3
+  }
+};
+
+const networkNames = Object.keys(networks);
+
+// Environment overrides per profile field. The plain names configure the custom profile, every other profile only
+// reads its own prefixed names (SANKO_MAINNET_RPC_URL, SANKO_LOCAL_GASLITE_DROP_ADDRESS...), so a value meant for one
+// network never ends up under another network's name
+const envFields = {
+  rpcUrls: 'RPC_URL',
+  chainId: 'CHAIN_ID',
+  gasliteDrop: 'GASLITE_DROP_ADDRESS',
+  explorerUrl: 'EXPLORER_URL',
+  multicall3: 'MULTICALL3_ADDRESS'
+};
+
+const customEnvNames = {
+  rpcUrls: 'SANKO_RPC_URL',
+  chainId: 'SANKO_CHAIN_ID',
+  gasliteDrop: 'GASLITE_DROP_ADDRESS',
+  explorerUrl: 'SANKO_EXPLORER_URL',
+  multicall3: 'MULTICALL3_ADDRESS'
+};
+
+function envNames(name) {
+  if (name === 'custom') return customEnvNames;
+  return Object.fromEntries(Object.entries(envFields).map(([field, suffix]) => [field, `SANKO_${name.toUpperCase()}_${suffix}`]));
+}
+
+function getNetwork(name = process.env.SANKO_NETWORK || 'mainnet', overrides = {}) {
+  const profile = networks[name];
+
+  if (!profile) {
+    throw new Error(`Unknown network "${name}", expected one of: ${networkNames.join(', ')}`);
+  }
+
+  const env = process.env;
+  const names = envNames(name);
+  const network = { ...profile, key: name };
+
+  if (name !== 'custom') {
+    const ignored = Object.entries(customEnvNames).filter(([, envName]) => env[envName]);
+    if (ignored.length) {
+      console.warn(`Ignoring ${ignored.map(([, envName]) => envName).join(', ')} on network "${name}": the unprefixed variables only configure the custom network, use ${ignored.map(([field]) => names[field]).join(', ')} instead`);
+    }
+  }
+
+  if (env[names.rpcUrls]) network.rpcUrls = env[names.rpcUrls].split(',').map(url => url.trim()).filter(Boolean);
+  if (env[names.chainId]) network.chainId = Number(env[names.chainId]);
+  if (env[names.gasliteDrop]) network.gasliteDrop = env[names.gasliteDrop];
+  if (env[names.explorerUrl]) network.explorerUrl = env[names.explorerUrl];
+  if (env[names.multicall3]) network.multicall3 = env[names.multicall3];
+
+  if (overrides.rpc) network.rpcUrls = [].concat(overrides.rpc);
+  if (overrides.chainId) network.chainId = Number(overrides.chainId);
+
+  if (!network.rpcUrls.length) throw new Error(`No RPC URL configured for network "${name}", set ${names.rpcUrls} or pass --rpc`);
+  if (!network.chainId) throw new Error(`No chain id configured for network "${name}", set ${names.chainId} or pass --chain-id`);
+
+  return network;
+}
+
+function getProvider(network) {
+  const chain = { name: network.name, chainId: network.chainId };
+  const staticNetwork = ethers.Network.from(chain);
+
+  if (network.rpcUrls.length === 1) {
+    return new ethers.JsonRpcProvider(network.rpcUrls[0], chain, { staticNetwork });
+  }
+
+  const providers = network.rpcUrls.map((url, index) => ({
+    provider: new ethers.JsonRpcProvider(url, chain, { staticNetwork }),
+    priority: index + 1,
+    weight: 1
+  }));
+
+  return new ethers.FallbackProvider(providers, chain, { quorum: 1 });
+}
+
+// Shared yargs options so every tool selects its network the same way
+const networkOptions = {
+  network: {
+    alias: 'n',
+    description: `Network profile to use (${networkNames.join(', ')})`,
+    type: 'string',
+    default: process.env.SANKO_NETWORK || 'mainnet',
+    choices: networkNames
+  },
+  rpc: {
+    description: 'RPC URL, overrides the network profile',
+    type: 'string'
+  },
+  'chain-id': {
+    description: 'Chain id, overrides the network profile',
+    type: 'number'
+  }
+};
+
+function explorerLink(network, type, value) {
+  if (!network.explorerUrl) return value;
+  return `${network.explorerUrl}/${type}/${value}`;
 }
 
-export default sankoMainnet
\ No newline at end of file
+export { networks, networkNames, networkOptions, envNames, getNetwork, getProvider, explorerLink };
+export default sankoMainnet;
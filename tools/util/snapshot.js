@@ -0,0 +1,61 @@
+import fs from 'fs-extra';
+import { ethers } from 'ethers';
+
+// Fixed point string with every decimal kept, e.g. 1500000n with 6 decimals is "1.500000"
+function formatBigIntToDecimal(bigIntValue, decimals = 18) {
+  const negative = bigIntValue < 0n;
+  const strValue = (negative ? -bigIntValue : bigIntValue).toString();
+  const sign = negative ? '-' : '';
+
+  if (decimals === 0) return `${sign}${strValue}`;
+
+  const paddedValue = strValue.padStart(decimals + 1, '0');
+  const integerPart = paddedValue.slice(0, -decimals);
+  const decimalPart = paddedValue.slice(-decimals);
+  return `${sign}${integerPart}.${decimalPart}`;
+}
+
+// Reads a snapshot written by takeSnapshot.js into exact per-holder balances in base units.
+// ERC20 rows carry the raw balance next to the formatted one, older snapshots without it were always 18 decimals.
+// Older NFT snapshots have no type either, their rows hold plain numeric counts.
+function loadSnapshot(filePath) {
+  const data = fs.readJsonSync(filePath);
+  const type = data.type || null;
+  const legacyCounts = type === null && data.holders.length > 0 && typeof data.holders[0][1] === 'number';
+  const decimals = data.decimals ?? ((type === null && !legacyCounts) || type === 'ERC20' ? 18 : 0);
+  const balances = new Map();
+
+  for (const row of data.holders) {
+    const address = row[0];
+    let balance;
+
+    if (data.perId) {
+      balance = BigInt(row[2]);
+    } else if (row[2] !== undefined) {
+      balance = BigInt(row[2]);
+    } else if (typeof row[1] === 'string' && row[1].includes('.')) {
+      balance = ethers.parseUnits(row[1], decimals);
+    } else {
+      balance = BigInt(row[1]);
+    }
+
+    balances.set(address, (balances.get(address) || 0n) + balance);
+  }
+
+  return { ...data, type, decimals, balances };
+}
+
+function commify(value) {
+  const match = value.match(/^(-?)([0-9]*)(\.?)([0-9]*)$/);
+  if (!match || (!match[2] && !match[4])) {
+    throw new Error(`bad formatted number: ${ JSON.stringify(value) }`);
+  }
+
+  const neg = match[1];
+  const whole = BigInt(match[2] || 0).toLocaleString("en-us");
+  const frac = (match[4] ? match[4].match(/^(.*?)0*$/)[1] : "") || "0";
+
+  return `${ neg }${ whole }.${ frac }`;
+}
+
+export { formatBigIntToDecimal, commify, loadSnapshot };
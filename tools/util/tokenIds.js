@@ -0,0 +1,29 @@
+// Parses token id filters like "3", "1,2,5" or "10-20" (also combined, "1,4,10-20") into a matcher
+function parseIdFilter(spec) {
+  const parts = [].concat(spec).join(',').split(',').map(part => part.trim()).filter(Boolean);
+
+  if (!parts.length) throw new Error('Empty token id filter');
+
+  const ranges = parts.map(part => {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`Invalid token id "${part}", expected an id (3), a list (1,2,5) or a range (10-20)`);
+
+    const start = BigInt(match[1]);
+    const end = match[2] !== undefined ? BigInt(match[2]) : start;
+    if (end < start) throw new Error(`Invalid token id range "${part}", start is after end`);
+
+    return [start, end];
+  });
+
+  return {
+    spec: parts.join(','),
+    // Safe to use in file names
+    label: parts.join('_'),
+    matches: (id) => {
+      const value = BigInt(id);
+      return ranges.some(([start, end]) => value >= start && value <= end);
+    }
+  };
+}
+
+export { parseIdFilter };